@@ -0,0 +1,193 @@
+import { initialStates } from './initial-states.js';
+import { themes } from './themes.js';
+
+/**
+ * Parameter schema
+ * -------
+ * Every tunable parameter with its type, valid range and default value
+ * - type: 'number', 'angle' (stored in radians, given in degrees from URLs), 'boolean' or 'string'
+ * - values: allowed values of a string parameter (or a function returning them)
+ * - mobileDefault: default used instead on small screens
+ * - uniform: shader uniform that mirrors the value
+ * - effect: 'grid' regenerates the initial state, 'sections' recalculates the scroll range, 'theme' switches the colors
+ */
+export const parameterSchema = {
+  // Colors
+  theme: { type: 'string', values: () => Object.keys(themes), default: 'dark', effect: 'theme' }, // Name of a theme in themes.js (presets: 'dark', 'light')
+
+  // Wave parameters
+  waveSpeed: { type: 'number', min: 0, max: 10, default: 0.8 }, // Set to 0 to disable wave animations
+  waveOffsetX: { type: 'number', min: -5, max: 5, default: 0.1, mobileDefault: 0.4, uniform: 'uWaveOffsetX' },
+  waveOffsetY: { type: 'number', min: -5, max: 5, default: -0.1, uniform: 'uWaveOffsetY' },
+  waveOffsetZ: { type: 'number', min: -5, max: 5, default: -0.1, mobileDefault: 0.7, uniform: 'uWaveOffsetZ' },
+  waveRotationX: { type: 'angle', min: -Math.PI, max: Math.PI, default: 0.73 * (Math.PI / 180), uniform: 'uWaveRotationX' },
+  waveRotationY: { type: 'angle', min: -Math.PI, max: Math.PI, default: 5.73 * (Math.PI / 180), uniform: 'uWaveRotationY' },
+  waveRotationZ: { type: 'angle', min: -Math.PI, max: Math.PI, default: 0, uniform: 'uWaveRotationZ' },
+
+  // Darkness effect parameters
+  distanceOpacityFactor: { type: 'number', min: 0, max: 5, default: 2.0, uniform: 'uDistanceOpacityFactor' }, // How much particles darken based on distance
+  heightOpacityFactor: { type: 'number', min: 0, max: 5, default: 1.2, uniform: 'uHeightOpacityFactor' }, // How much particles darken based on height
+  distantHeightOpacityBoost: { type: 'number', min: 0, max: 5, default: 1.2, uniform: 'uDistantHeightOpacityBoost' }, // Extra darkening for high and distant particles
+
+  // Animation parameters
+  animationStartOffset: { type: 'number', min: 0, max: 1, default: 0.05, effect: 'sections' }, // Start after scrolling 5% into section 1
+  animationEndSection: { type: 'number', min: 1, max: 100, default: 1.5, effect: 'sections' }, // Which section to complete the animation at (1-based index)
+  mainAnimationEndProgress: { type: 'number', min: 0.01, max: 1, default: 0.57, effect: 'sections' }, // The first stage completes at this scroll progress (unless tied to a section)
+  fadeOutStartProgress: { type: 'number', min: 0, max: 0.99, default: 0.6, effect: 'sections' }, // Start fadeout animation at this scroll progress
+  scrollEasing: { type: 'number', min: 0.001, max: 1, default: 0.07 }, // Lower = smoother
+
+  // Wave density parameters, shared by every initial state
+  initialState: { type: 'string', values: () => Object.keys(initialStates), default: 'wave', effect: 'grid' }, // Layout before the first stage, a name in initial-states.js ('wave', 'grid', 'terrain', 'sphere', 'galaxy', 'cloud')
+  waveWidthFactor: { type: 'number', min: 0.5, max: 20, default: 1.9, effect: 'grid' }, // Width of the wave pattern (X-axis spread)
+  waveDepthFactor: { type: 'number', min: 1, max: 20, default: 3.0, effect: 'grid' }, // Depth of the wave pattern (Z-axis spread)
+  waveZOffset: { type: 'number', min: -10, max: 10, default: 1.8, effect: 'grid' }, // Z-offset for the wave centered positioning
+  gridRatio: { type: 'number', min: 0.1, max: 20, default: 3, effect: 'grid' } // Ratio between width and height of the grid (1 = square)
+};
+
+/**
+ * Validate a value against its schema entry
+ * Numbers are clamped into range, wrong types throw a TypeError
+ */
+export function validateParameter(key, value, schema = parameterSchema) {
+  const definition = schema[key];
+  if (!definition) {
+    throw new TypeError(`Unknown parameter "${key}"`);
+  }
+
+  if (definition.type === 'number' || definition.type === 'angle') {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      throw new TypeError(`Parameter "${key}" must be a number, got ${String(value)} (${typeof value})`);
+    }
+    return Math.min(definition.max ?? Infinity, Math.max(definition.min ?? -Infinity, value));
+  }
+
+  if (typeof value !== definition.type) {
+    throw new TypeError(`Parameter "${key}" must be a ${definition.type}, got ${String(value)} (${typeof value})`);
+  }
+
+  if (definition.values) {
+    const values = typeof definition.values === 'function' ? definition.values() : definition.values;
+    if (!values.includes(value)) {
+      throw new TypeError(`Parameter "${key}" must be one of ${values.join(', ')}, got ${value}`);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Convert string parameters (from URL or script query strings) into typed values
+ * Unknown keys are skipped and unparseable values are reported and ignored
+ */
+export function parseParameters(params, schema = parameterSchema) {
+  const values = {};
+
+  Object.keys(params).forEach(key => {
+    const definition = schema[key];
+    if (!definition) return;
+
+    const raw = params[key];
+    let value;
+
+    // Special handling for different types
+    if (definition.type === 'number') {
+      value = parseFloat(raw);
+    } else if (definition.type === 'angle') {
+      // Convert degrees to radians
+      value = parseFloat(raw) * (Math.PI / 180);
+    } else if (definition.type === 'boolean') {
+      value = raw.toLowerCase() === 'true';
+    } else {
+      value = raw;
+    }
+
+    try {
+      values[key] = validateParameter(key, value, schema);
+    } catch (error) {
+      console.warn(`Ignoring parameter override: ${error.message}`);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Default values for every parameter in the schema
+ */
+export function getDefaultParameters({ mobile = false } = {}, schema = parameterSchema) {
+  const values = {};
+  Object.keys(schema).forEach(key => {
+    const definition = schema[key];
+    values[key] = mobile && 'mobileDefault' in definition ? definition.mobileDefault : definition.default;
+  });
+  return values;
+}
+
+/**
+ * Typed, validated parameter store
+ * Listeners receive an object with the changed keys and their new values
+ */
+export class ConfigStore {
+  constructor(values = {}, schema = parameterSchema) {
+    this.schema = schema;
+    this.values = getDefaultParameters({}, schema);
+    this.listeners = new Set();
+
+    Object.keys(values).forEach(key => {
+      this.values[key] = validateParameter(key, values[key], schema);
+    });
+  }
+
+  get(key) {
+    if (!(key in this.schema)) {
+      throw new TypeError(`Unknown parameter "${key}"`);
+    }
+    return this.values[key];
+  }
+
+  /**
+   * Set a single parameter
+   * Returns the validated value that was stored
+   */
+  set(key, value) {
+    this.update({ [key]: value });
+    return this.values[key];
+  }
+
+  /**
+   * Set several parameters at once, notifying listeners a single time
+   * All values are validated before any of them is applied
+   */
+  update(values) {
+    const validated = {};
+    Object.keys(values).forEach(key => {
+      validated[key] = validateParameter(key, values[key], this.schema);
+    });
+
+    const changes = {};
+    Object.keys(validated).forEach(key => {
+      if (this.values[key] !== validated[key]) {
+        this.values[key] = validated[key];
+        changes[key] = validated[key];
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      this.listeners.forEach(listener => listener(changes));
+    }
+
+    return changes;
+  }
+
+  /**
+   * Register a change listener, returns a function that removes it
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  toJSON() {
+    return { ...this.values };
+  }
+}
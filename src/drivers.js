@@ -0,0 +1,445 @@
+/**
+ * Progress drivers
+ * -------
+ * A driver decides where the animation is by calling morph.setProgress()
+ * Drivers are interchangeable and implement:
+ * - connect(morph): start driving the given ParticleMorph
+ * - disconnect(): stop driving it and remove any listeners
+ * - update(time): optional, called every frame with the current time in milliseconds
+ * - refresh(): optional, recalculate layout (called on resize and parameter changes)
+ * - getSectionProgress(section): optional, progress at which a 1-based section ends, or null
+ */
+
+// Named positions along an element or the viewport, as fractions of its size
+const anchorNames = { top: 0, left: 0, start: 0, center: 0.5, bottom: 1, right: 1, end: 1 };
+
+/**
+ * Convert an anchor ("top", "center", "bottom", "80%" or a 0-1 fraction) into a fraction
+ */
+function parseAnchor(anchor) {
+  if (typeof anchor === "number") return anchor;
+  if (anchor in anchorNames) return anchorNames[anchor];
+  if (typeof anchor === "string" && anchor.trim().endsWith("%")) return parseFloat(anchor) / 100;
+
+  throw new TypeError(`Invalid scroll anchor: ${anchor}`);
+}
+
+function resolveElement(target) {
+  return typeof target === "string" ? document.querySelector(target) : target;
+}
+
+/**
+ * Derives progress from a scroll position
+ *
+ * Options:
+ * - sections: selector (or array of elements) for the sections that define the scroll range
+ * - container: the scrolling element (or selector), defaults to the window
+ * - axis: "y" for vertical scrolling, "x" for horizontal scrolling
+ * - start, end: where the animation starts and ends, as { element, edge, viewport }, meaning
+ *   "when the element's edge reaches this point of the viewport", e.g.
+ *   { element: "#hero", edge: "top", viewport: "80%" }
+ *   By default the animation starts animationStartOffset into the first section as it reaches the
+ *   top of the viewport and ends when section animationEndSection leaves it
+ * - source: "scroll" follows scroll events, "intersection" uses an IntersectionObserver on the
+ *   sections instead (coarser, but works with scrollers that don't emit scroll events)
+ *
+ * Without sections or start/end points the whole scrollable length is used
+ */
+export class ScrollDriver {
+  constructor({
+    sections = "section",
+    container = null,
+    axis = "y",
+    start = null,
+    end = null,
+    source = "scroll"
+  } = {}) {
+    if (axis !== "x" && axis !== "y") {
+      throw new TypeError(`Scroll axis must be "x" or "y", got ${axis}`);
+    }
+    if (source !== "scroll" && source !== "intersection") {
+      throw new TypeError(`Scroll source must be "scroll" or "intersection", got ${source}`);
+    }
+
+    this.sections = sections;
+    this.container = container;
+    this.axis = axis;
+    this.start = start;
+    this.end = end;
+    this.source = source;
+    this.morph = null;
+
+    this.sectionElements = []; // Will hold the section elements
+    this.range = null; // Scroll positions where the animation starts and ends
+    this.observer = null;
+    this.sectionVisibility = new Map(); // Per-section progress reported by the IntersectionObserver
+
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handleIntersection = this.handleIntersection.bind(this);
+  }
+
+  connect(morph) {
+    this.morph = morph;
+    this.scrollTarget = this.container ? resolveElement(this.container) : window;
+    if (!this.scrollTarget) {
+      throw new Error(`Scroll container not found: ${this.container}`);
+    }
+
+    if (this.source === "scroll") {
+      this.scrollTarget.addEventListener("scroll", this.handleScroll);
+    }
+
+    this.refresh();
+  }
+
+  disconnect() {
+    if (this.scrollTarget) this.scrollTarget.removeEventListener("scroll", this.handleScroll);
+    if (this.observer) this.observer.disconnect();
+    this.observer = null;
+    this.morph = null;
+  }
+
+  /**
+   * Collect the section elements and calculate the scroll range,
+   * then pick up the current scroll position
+   */
+  refresh() {
+    if (!this.morph) return;
+
+    const { sections } = this;
+
+    // Get all section elements
+    this.sectionElements = typeof sections === "string"
+      ? Array.from(document.querySelectorAll(sections))
+      : Array.from(sections || []);
+
+    if (this.source === "intersection") {
+      this.observeSections();
+      return;
+    }
+
+    this.range = this.getScrollRange();
+    this.handleScroll();
+  }
+
+  /**
+   * Current scroll offset along the axis
+   */
+  getScrollPosition() {
+    const { scrollTarget, axis } = this;
+    if (scrollTarget === window) return axis === "x" ? window.scrollX : window.scrollY;
+    return axis === "x" ? scrollTarget.scrollLeft : scrollTarget.scrollTop;
+  }
+
+  /**
+   * Visible length of the scroll container along the axis
+   */
+  getViewportSize() {
+    const { scrollTarget, axis } = this;
+    if (scrollTarget === window) return axis === "x" ? window.innerWidth : window.innerHeight;
+    return axis === "x" ? scrollTarget.clientWidth : scrollTarget.clientHeight;
+  }
+
+  /**
+   * Largest scroll offset along the axis
+   */
+  getMaxScroll() {
+    const { scrollTarget, axis } = this;
+    const element = scrollTarget === window ? document.documentElement : scrollTarget;
+    return (axis === "x" ? element.scrollWidth : element.scrollHeight) - this.getViewportSize();
+  }
+
+  /**
+   * Start and length of an element in scroll coordinates (independent of the current scroll offset)
+   */
+  measure(element) {
+    const rect = element.getBoundingClientRect();
+    const horizontal = this.axis === "x";
+    let viewportStart = 0;
+
+    if (this.scrollTarget !== window) {
+      const containerRect = this.scrollTarget.getBoundingClientRect();
+      viewportStart = (horizontal ? containerRect.left + this.scrollTarget.clientLeft : containerRect.top + this.scrollTarget.clientTop);
+    }
+
+    return {
+      start: (horizontal ? rect.left : rect.top) - viewportStart + this.getScrollPosition(),
+      size: horizontal ? rect.width : rect.height
+    };
+  }
+
+  /**
+   * Scroll offset at which an element's edge meets the given point of the viewport
+   */
+  resolvePoint({ element, edge = "top", viewport = "top" }) {
+    const target = resolveElement(element);
+    if (!target) {
+      throw new Error(`Scroll anchor element not found: ${element}`);
+    }
+
+    const { start, size } = this.measure(target);
+    return start + size * parseAnchor(edge) - this.getViewportSize() * parseAnchor(viewport);
+  }
+
+  /**
+   * Scroll offset at which a section (1-based, fractional indices round up) leaves the viewport
+   */
+  getSectionEndPosition(sectionNumber) {
+    const index = Math.min(Math.ceil(sectionNumber), this.sectionElements.length) - 1;
+    return this.resolvePoint({ element: this.sectionElements[index], edge: "bottom" });
+  }
+
+  /**
+   * Scroll offsets where the animation starts and ends
+   */
+  getScrollRange() {
+    const { animationStartOffset, animationEndSection } = this.morph.params;
+    const hasSections = this.sectionElements.length >= animationEndSection;
+
+    let start = 0;
+    if (this.start) {
+      start = this.resolvePoint(this.start);
+    } else if (hasSections) {
+      start = this.resolvePoint({ element: this.sectionElements[0], edge: animationStartOffset });
+    }
+
+    let end = this.getMaxScroll();
+    if (this.end) {
+      end = this.resolvePoint(this.end);
+    } else if (hasSections) {
+      end = this.getSectionEndPosition(animationEndSection);
+    }
+
+    return end > start ? { start, end } : null;
+  }
+
+  /**
+   * Progress at which the given section ends, or null when it doesn't exist
+   * (sections are 1-based, 0 and negative numbers don't name one)
+   */
+  getSectionProgress(section) {
+    if (!(section >= 1) || section > this.sectionElements.length) return null;
+
+    if (this.source === "intersection") {
+      const { count, offset } = this.getObservedRange();
+      return Math.min(1, Math.max(0, (section - offset) / ((count - offset) || 1)));
+    }
+
+    if (!this.range) return null;
+
+    const { start, end } = this.range;
+    return Math.min(1, Math.max(0, (this.getSectionEndPosition(section) - start) / (end - start)));
+  }
+
+  /**
+   * Progress from the scroll position
+   */
+  handleScroll() {
+    if (!this.morph || !this.range) return;
+
+    const { start, end } = this.range;
+
+    // Progress will be 0 at the animation start position and 1 at the end position
+    // Set the target progress (will be smoothly interpolated in animation loop)
+    this.morph.setProgress((this.getScrollPosition() - start) / (end - start));
+  }
+
+  /**
+   * Sections counted by the intersection source and the share of the first one skipped by animationStartOffset
+   */
+  getObservedRange() {
+    const { animationStartOffset, animationEndSection } = this.morph.params;
+    return {
+      count: Math.max(1, Math.min(Math.ceil(animationEndSection), this.sectionElements.length)),
+      offset: animationStartOffset
+    };
+  }
+
+  /**
+   * Observe how far each section has travelled past the start of the viewport
+   */
+  observeSections() {
+    if (this.observer) this.observer.disconnect();
+    this.sectionVisibility.clear();
+
+    if (typeof IntersectionObserver === "undefined") {
+      console.warn("ScrollDriver: IntersectionObserver is not supported, progress won't follow scrolling");
+      return;
+    }
+
+    const thresholds = Array.from({ length: 21 }, (_, i) => i / 20);
+    this.observer = new IntersectionObserver(this.handleIntersection, {
+      root: this.scrollTarget === window ? null : this.scrollTarget,
+      threshold: thresholds
+    });
+
+    const { count } = this.getObservedRange();
+    this.sectionElements.slice(0, count).forEach(element => this.observer.observe(element));
+  }
+
+  handleIntersection(entries) {
+    if (!this.morph) return;
+
+    const horizontal = this.axis === "x";
+
+    entries.forEach(entry => {
+      const rect = entry.boundingClientRect;
+      const root = entry.rootBounds;
+      const rootStart = root ? (horizontal ? root.left : root.top) : 0;
+      const size = horizontal ? rect.width : rect.height;
+      const passed = rootStart - (horizontal ? rect.left : rect.top);
+
+      this.sectionVisibility.set(entry.target, size > 0 ? Math.min(1, Math.max(0, passed / size)) : 0);
+    });
+
+    // Every section counts for an equal share of the progress
+    const { count, offset } = this.getObservedRange();
+    let total = 0;
+    this.sectionVisibility.forEach(value => { total += value; });
+
+    this.morph.setProgress((total - offset) / ((count - offset) || 1));
+  }
+}
+
+/**
+ * Advances progress over time, for pages that don't scroll (hero banners, kiosks, loading screens)
+ *
+ * Options:
+ * - duration: seconds from progress 0 to 1
+ * - delay: seconds to wait before playback starts
+ * - repeatDelay: seconds to hold at the end of every iteration before looping or turning around
+ * - loop: start over (or turn around, with pingPong) instead of stopping at the end
+ * - pingPong: play back to the start after reaching the end
+ * - autoplay: start playing as soon as the driver is connected
+ */
+export class PlaybackDriver {
+  constructor({
+    duration = 6,
+    delay = 0,
+    repeatDelay = 0,
+    loop = false,
+    pingPong = false,
+    autoplay = true
+  } = {}) {
+    if (!(duration > 0)) {
+      throw new TypeError(`Playback duration must be a positive number of seconds, got ${duration}`);
+    }
+
+    this.duration = duration;
+    this.repeatDelay = repeatDelay;
+    this.loop = loop;
+    this.pingPong = pingPong;
+
+    this.morph = null;
+    this.progress = 0;
+    this.direction = 1; // 1 plays forwards, -1 backwards
+    this.playing = autoplay;
+    this.wait = delay; // Seconds left before progress advances
+    this.lastTime = null;
+    this.turnedAround = false; // Whether the current ping-pong cycle already reached the end
+    this.restartPending = false; // Whether a looping iteration holds its end before starting over
+  }
+
+  connect(morph) {
+    this.morph = morph;
+    this.lastTime = null;
+    this.apply();
+  }
+
+  disconnect() {
+    this.morph = null;
+  }
+
+  /**
+   * Start or resume playback in the current direction
+   * Restarts from the beginning when playback had finished
+   */
+  play() {
+    if (!this.playing && this.isFinished()) {
+      this.progress = this.direction > 0 ? 0 : 1;
+      this.turnedAround = false;
+      this.restartPending = false;
+    }
+    this.playing = true;
+    this.lastTime = null;
+    this.apply();
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  /**
+   * Jump to a progress value (0-1)
+   */
+  seek(progress) {
+    this.progress = Math.min(1, Math.max(0, progress));
+    this.wait = 0;
+    this.restartPending = false;
+    this.apply();
+  }
+
+  /**
+   * Reverse the playback direction
+   */
+  reverse() {
+    this.direction *= -1;
+  }
+
+  isFinished() {
+    return this.direction > 0 ? this.progress >= 1 : this.progress <= 0;
+  }
+
+  update(time) {
+    if (this.lastTime === null) this.lastTime = time;
+
+    // Limit the step so a throttled or hidden tab doesn't skip the animation
+    const delta = Math.min(0.1, (time - this.lastTime) / 1000);
+    this.lastTime = time;
+
+    if (!this.playing) return;
+
+    if (this.wait > 0) {
+      this.wait -= delta;
+      return;
+    }
+
+    // The end of a looping iteration has been held, start the next one
+    if (this.restartPending) {
+      this.restartPending = false;
+      this.progress = this.direction > 0 ? 0 : 1;
+    }
+
+    this.progress += (this.direction * delta) / this.duration;
+
+    // End of an iteration
+    if (this.isFinished()) {
+      this.progress = Math.min(1, Math.max(0, this.progress));
+
+      if (this.pingPong && (this.loop || !this.turnedAround)) {
+        this.direction *= -1;
+        this.turnedAround = !this.turnedAround;
+        this.wait = this.repeatDelay;
+      } else if (this.loop) {
+        // Hold the end for repeatDelay, the progress starts over once the wait runs out
+        this.restartPending = true;
+        this.wait = this.repeatDelay;
+      } else {
+        this.playing = false;
+
+        // A finished ping-pong is back at its start, ready to play forwards again
+        if (this.pingPong) {
+          this.direction *= -1;
+          this.turnedAround = false;
+        }
+      }
+    }
+
+    this.apply();
+  }
+
+  apply() {
+    // Time-driven progress is exact, it isn't eased like scrolling
+    if (this.morph) this.morph.setProgress(this.progress, { immediate: true });
+  }
+}
@@ -0,0 +1,115 @@
+import * as THREE from "three";
+import { TargetRegion } from "./mesh-sampler.js";
+
+/**
+ * Image targets
+ * -------
+ * Samples an image into particle positions on a plane, optionally displaced
+ * into a relief by pixel luminance, with every particle taking its pixel's color
+ * Transparent pixels (below the alpha threshold) never receive particles
+ */
+
+/**
+ * Load an image given as a URL (including data URLs), a File/Blob,
+ * an image/canvas/bitmap element or raw ImageData
+ */
+async function loadImage(image) {
+  if (typeof image === "string") {
+    return new THREE.ImageLoader().loadAsync(image);
+  }
+
+  if (typeof Blob !== "undefined" && image instanceof Blob) {
+    return createImageBitmap(image);
+  }
+
+  if (image && (image.width > 0 || image.naturalWidth > 0)) {
+    return image;
+  }
+
+  throw new TypeError("Image targets require a URL, a File/Blob, an image element or ImageData");
+}
+
+/**
+ * Read the pixels of an image, downscaled so its largest side is at most resolution
+ */
+function readPixels(image, resolution) {
+  // ImageData (or any { data, width, height }) is used as is
+  if (image.data && image.width && image.height) return image;
+
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  const scale = Math.min(1, resolution / Math.max(width, height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Image target
+ *
+ * Options:
+ * - image: URL or data URL, File/Blob, image/canvas/bitmap element or ImageData
+ * - size: largest dimension of the result in world units
+ * - depth: relief depth, bright pixels come forward (0 for a flat plane, negative to push them back)
+ * - alphaThreshold: pixels with a lower alpha (0-1) are skipped
+ * - resolution: the image is downscaled to at most this many pixels per side before sampling
+ * - useColors: take particle colors from the pixels (false keeps the stage gradient)
+ */
+export async function createImageTarget({
+  image,
+  size = 1,
+  depth = 0,
+  alphaThreshold = 0.5,
+  resolution = 256,
+  useColors = true
+}, { count, random = Math.random }) {
+  const { data, width, height } = readPixels(await loadImage(image), resolution);
+
+  // Pixels that are opaque enough to receive particles
+  const alphaMin = alphaThreshold * 255;
+  const opaque = [];
+  for (let i = 0; i < width * height; i++) {
+    if (data[i * 4 + 3] >= alphaMin) opaque.push(i);
+  }
+
+  if (opaque.length === 0) {
+    throw new Error("The image has no pixels above the alpha threshold");
+  }
+
+  const positions = new Float32Array(count * 3);
+  const colors = useColors ? new Float32Array(count * 3) : null;
+  const regions = new Uint8Array(count).fill(TargetRegion.FRONT);
+  const scale = size / Math.max(width, height);
+  const color = new THREE.Color();
+
+  for (let i = 0; i < count; i++) {
+    const pixel = opaque[Math.floor(random() * opaque.length)];
+    const p4 = pixel * 4;
+    const r = data[p4] / 255;
+    const g = data[p4 + 1] / 255;
+    const b = data[p4 + 2] / 255;
+
+    // Jitter inside the pixel so particles don't line up on the pixel grid
+    const x = pixel % width + random();
+    const y = Math.floor(pixel / width) + random();
+
+    // Relative luminance (Rec. 709) drives the relief
+    const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+    // Centered on the origin, image Y points down
+    positions[i * 3] = (x - width / 2) * scale;
+    positions[i * 3 + 1] = (height / 2 - y) * scale;
+    positions[i * 3 + 2] = (luminance - 0.5) * depth;
+
+    if (colors) {
+      color.setRGB(r, g, b, THREE.SRGBColorSpace).toArray(colors, i * 3);
+    }
+  }
+
+  return { positions, regions, colors };
+}
@@ -0,0 +1,272 @@
+import * as THREE from "three";
+
+/**
+ * Initial states
+ * -------
+ * Layouts the particles rest in before they assemble into the first stage
+ * Every generator lays out positions, grid colors and sizes from the wave density
+ * parameters (waveWidthFactor, waveDepthFactor, waveZOffset, gridRatio) and the
+ * theme's grid gradient
+ */
+
+// Every built-in layout is turned around Y by this angle to match the reference images
+const layoutRotation = -16 * (Math.PI / 180);
+
+// Size of the resting particles (the stages size theirs in targets.js)
+const restingSize = 0.3;
+
+/**
+ * Color along the theme's grid gradient, t from 0 (outer color) to 1 (inner color)
+ * The outer half darkens from the middle color to the outer color, the inner half
+ * brightens towards the inner color
+ */
+export function getGridColor(t, palette, target) {
+  const shade = Math.min(1, Math.max(0, t));
+
+  if (shade < 0.5) {
+    // Outer 50% - remap 0-0.5 to 0-1, with a power curve for a smoother transition
+    const fadeOut = 1.0 - (shade / 0.5);
+    return target.lerpColors(palette.middle, palette.outer, Math.pow(fadeOut, 1.5));
+  }
+
+  // Inner 50% - a stronger power curve creates more dramatic contrast
+  return target.lerpColors(palette.middle, palette.inner, Math.pow(shade, 2.5));
+}
+
+/**
+ * Pseudo random value in [0, 1) for an integer pair
+ * Scatter is hashed from the particle index rather than drawn from Math.random,
+ * so regenerating a layout (new theme, new grid ratio) keeps every particle in place
+ */
+function hash(a, b) {
+  const value = Math.sin(a * 127.1 + b * 311.7) * 43758.5453;
+  return value - Math.floor(value);
+}
+
+// Smooth value noise in [0, 1), summed over a few octaves
+function fractalNoise(x, z, octaves = 4) {
+  let sum = 0;
+  let amplitude = 0.5;
+  let frequency = 1;
+  let total = 0;
+
+  for (let octave = 0; octave < octaves; octave++) {
+    const px = x * frequency + octave * 17;
+    const pz = z * frequency;
+    const ix = Math.floor(px);
+    const iz = Math.floor(pz);
+    const fx = px - ix;
+    const fz = pz - iz;
+    const sx = fx * fx * (3 - 2 * fx);
+    const sz = fz * fz * (3 - 2 * fz);
+
+    const top = THREE.MathUtils.lerp(hash(ix, iz), hash(ix + 1, iz), sx);
+    const bottom = THREE.MathUtils.lerp(hash(ix, iz + 1), hash(ix + 1, iz + 1), sx);
+    sum += THREE.MathUtils.lerp(top, bottom, sz) * amplitude;
+
+    total += amplitude;
+    amplitude *= 0.5;
+    frequency *= 2;
+  }
+
+  return sum / total;
+}
+
+function createState(count) {
+  return {
+    positions: new Float32Array(count * 3),
+    colors: new Float32Array(count * 3),
+    sizes: new Float32Array(count).fill(restingSize)
+  };
+}
+
+/**
+ * Store a layout point, turned around Y and moved back to the wave's depth
+ */
+function place(positions, i, x, y, z, { waveZOffset }) {
+  const cosY = Math.cos(layoutRotation);
+  const sinY = Math.sin(layoutRotation);
+
+  positions[i * 3] = x * cosY - (z + waveZOffset) * sinY;
+  positions[i * 3 + 1] = y - 0.2;
+  positions[i * 3 + 2] = x * sinY + (z + waveZOffset) * cosY;
+}
+
+/**
+ * Call visit(i, x, z) for every particle of a grid spanning the wave's width and depth
+ * gridRatio sets how many columns there are per row
+ */
+function forEachGridPoint(count, { gridRatio, waveWidthFactor, waveDepthFactor }, visit) {
+  const gridHeight = Math.ceil(Math.sqrt(count / gridRatio));
+  const gridWidth = Math.ceil(gridHeight * gridRatio);
+
+  for (let i = 0; i < count; i++) {
+    const row = Math.floor(i / gridWidth);
+    const col = i % gridWidth;
+    visit(i, (col / gridWidth - 0.5) * waveWidthFactor, (row / gridHeight - 0.5) * waveDepthFactor);
+  }
+}
+
+// Grid shade of a point at depth z (before rotation), the grid rows span -3 to 3
+const rowShade = z => (z + 3) / 6;
+
+/**
+ * Built-in initial states
+ * Each generator receives the particle count and { params, palette, random } (the
+ * parameter values, the theme's grid gradient as THREE.Color objects and a random
+ * number generator in [0, 1), seeded when the seed option is set) and returns
+ * { positions, colors, sizes }, or just a Float32Array of positions
+ */
+export const initialStates = {
+  // U-shaped grid: a sine dip in the middle with raised sides, rising towards the back
+  wave(count, { params, palette }) {
+    const state = createState(count);
+    const color = new THREE.Color();
+
+    forEachGridPoint(count, params, (i, x, z) => {
+      const baseSineWave = Math.sin(x * Math.PI - Math.PI / 2) * 0.18;
+      const uShapeComponent = 0.25 * (x * x * 0.2);
+      place(state.positions, i, x, baseSineWave + uShapeComponent + z * 0.15, z, params);
+      getGridColor(rowShade(z), palette, color).toArray(state.colors, i * 3);
+    });
+
+    return state;
+  },
+
+  // The same grid, flat
+  grid(count, { params, palette }) {
+    const state = createState(count);
+    const color = new THREE.Color();
+
+    forEachGridPoint(count, params, (i, x, z) => {
+      place(state.positions, i, x, 0, z, params);
+      getGridColor(rowShade(z), palette, color).toArray(state.colors, i * 3);
+    });
+
+    return state;
+  },
+
+  // Rolling hills of fractal noise, peaks are lighter
+  terrain(count, { params, palette }) {
+    const state = createState(count);
+    const color = new THREE.Color();
+
+    forEachGridPoint(count, params, (i, x, z) => {
+      const height = fractalNoise(x * 1.6 + 10, z * 1.6 + 10);
+      place(state.positions, i, x, (height - 0.5) * 0.7, z, params);
+      getGridColor(rowShade(z) + (height - 0.5) * 0.6, palette, color).toArray(state.colors, i * 3);
+    });
+
+    return state;
+  },
+
+  // Evenly spread points on a sphere shell (Fibonacci lattice), lighter towards the camera
+  sphere(count, { params, palette }) {
+    const state = createState(count);
+    const color = new THREE.Color();
+    const radius = Math.min(params.waveWidthFactor, params.waveDepthFactor) * 0.35;
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+
+    for (let i = 0; i < count; i++) {
+      const y = 1 - (i / Math.max(1, count - 1)) * 2;
+      const ringRadius = Math.sqrt(1 - y * y);
+      const theta = goldenAngle * i;
+      const z = Math.sin(theta) * ringRadius;
+
+      place(state.positions, i, Math.cos(theta) * ringRadius * radius, y * radius + 0.2, z * radius, params);
+      getGridColor(0.5 + z * 0.35, palette, color).toArray(state.colors, i * 3);
+    }
+
+    return state;
+  },
+
+  // Flat spiral with three arms, a dense bright core and larger particles near the center
+  galaxy(count, { params, palette }) {
+    const state = createState(count);
+    const color = new THREE.Color();
+    const radius = Math.max(params.waveWidthFactor, params.waveDepthFactor) * 0.5;
+    const arms = 3;
+
+    for (let i = 0; i < count; i++) {
+      const distance = Math.pow(hash(i, 1), 1.6);
+      const arm = i % arms;
+      const angle = distance * Math.PI * 3 + (arm / arms) * Math.PI * 2 + (hash(i, 2) - 0.5) * 0.6;
+      const thickness = (hash(i, 3) - 0.5) * 0.12 * (1 - distance);
+
+      place(state.positions, i, Math.cos(angle) * distance * radius, thickness, Math.sin(angle) * distance * radius, params);
+      getGridColor(1 - distance * 0.8, palette, color).toArray(state.colors, i * 3);
+      state.sizes[i] = restingSize * (1 + (1 - distance) * 0.6);
+    }
+
+    return state;
+  },
+
+  // Loose random cloud filling the wave's width and depth
+  cloud(count, { params, palette }) {
+    const state = createState(count);
+    const color = new THREE.Color();
+
+    for (let i = 0; i < count; i++) {
+      const x = (hash(i, 1) - 0.5) * params.waveWidthFactor;
+      const y = (hash(i, 2) - 0.5) * 0.8;
+      const z = (hash(i, 3) - 0.5) * params.waveDepthFactor;
+
+      place(state.positions, i, x, y, z, params);
+      getGridColor(rowShade(z), palette, color).toArray(state.colors, i * 3);
+      state.sizes[i] = restingSize * (0.7 + hash(i, 4) * 0.6);
+    }
+
+    return state;
+  }
+};
+
+/**
+ * Add (or replace) a named initial state, selectable with the initialState parameter
+ * generator(count, { params, palette, random }) returns { positions, colors, sizes } or a
+ * Float32Array of positions (grid colors then follow the depth, sizes stay at the default)
+ */
+export function registerInitialState(name, generator) {
+  if (typeof name !== "string" || !name) {
+    throw new TypeError("An initial state needs a name");
+  }
+  if (typeof generator !== "function") {
+    throw new TypeError(`Initial state "${name}" needs a generator function`);
+  }
+
+  initialStates[name] = generator;
+  return generator;
+}
+
+/**
+ * Generate the positions, grid colors and sizes of `count` resting particles
+ * - params: parameter values (see config.js)
+ * - palette: the theme's grid gradient, { outer, middle, inner } THREE.Color objects
+ * - random: random number generator in [0, 1) handed to the generator
+ */
+export function createInitialState(name, count, { params, palette, random = Math.random }) {
+  const generator = initialStates[name];
+  if (!generator) {
+    throw new TypeError(`Unknown initial state "${name}", expected one of ${Object.keys(initialStates).join(", ")}`);
+  }
+
+  const result = generator(count, { params, palette, random });
+  const state = result instanceof Float32Array ? { positions: result } : result;
+  if (!state || !(state.positions && state.positions.length >= count * 3)) {
+    throw new TypeError(`Initial state "${name}" must return positions for ${count} particles`);
+  }
+
+  let { colors, sizes } = state;
+  if (!colors) {
+    colors = new Float32Array(count * 3);
+    const color = new THREE.Color();
+    for (let i = 0; i < count; i++) {
+      getGridColor(rowShade(state.positions[i * 3 + 2] - params.waveZOffset), palette, color).toArray(colors, i * 3);
+    }
+  }
+
+  return {
+    positions: state.positions,
+    colors,
+    sizes: sizes ?? new Float32Array(count).fill(restingSize)
+  };
+}
@@ -0,0 +1,301 @@
+import * as THREE from "three";
+
+/**
+ * Mesh surface sampling
+ * -------
+ * Turns any loaded scene (all meshes, nested transforms applied) into a flat
+ * array of particle target positions, independent of the model's vertex count
+ */
+
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+const _ab = new THREE.Vector3();
+const _ac = new THREE.Vector3();
+
+/**
+ * Regions of a target shape, used for the front/back/side size and color gradients
+ */
+export const TargetRegion = {
+  SIDE: 0,
+  FRONT: 1,
+  BACK: 2
+};
+
+/**
+ * Collect every mesh triangle below root in world space
+ * Returns a Float32Array with 9 values (3 vertices) per triangle, the meshes in
+ * traversal order and, per triangle, the index of the mesh it belongs to
+ */
+export function collectTriangles(root) {
+  root.updateWorldMatrix(true, true);
+
+  const chunks = [];
+  const meshes = [];
+  let total = 0;
+
+  root.traverse(object => {
+    if (!object.isMesh || !object.geometry.attributes.position) return;
+
+    const position = object.geometry.attributes.position;
+    const index = object.geometry.index;
+    const vertexCount = index ? index.count : position.count;
+    const triangles = new Float32Array(Math.floor(vertexCount / 3) * 9);
+
+    // Mirrored transforms flip the winding, swap two corners to keep normals pointing outwards
+    const mirrored = object.matrixWorld.determinant() < 0;
+
+    for (let i = 0; i < triangles.length / 3; i++) {
+      const corner = i % 3;
+      const slot = mirrored && corner > 0 ? i - corner + (3 - corner) : i;
+      const vertexIndex = index ? index.getX(i) : i;
+      _a.fromBufferAttribute(position, vertexIndex).applyMatrix4(object.matrixWorld);
+      triangles[slot * 3] = _a.x;
+      triangles[slot * 3 + 1] = _a.y;
+      triangles[slot * 3 + 2] = _a.z;
+    }
+
+    chunks.push(triangles);
+    meshes.push(object);
+    total += triangles.length;
+  });
+
+  const result = new Float32Array(total);
+  const meshIndices = new Uint32Array(total / 9);
+  let offset = 0;
+  chunks.forEach((chunk, meshIndex) => {
+    result.set(chunk, offset);
+    meshIndices.fill(meshIndex, offset / 9, (offset + chunk.length) / 9);
+    offset += chunk.length;
+  });
+
+  return { triangles: result, meshes, meshIndices };
+}
+
+/**
+ * Collect every mesh vertex below root in world space
+ * Used by the 'vertices' sampling mode, which maps one particle to one vertex
+ */
+export function collectVertices(root) {
+  root.updateWorldMatrix(true, true);
+
+  const values = [];
+  root.traverse(object => {
+    if (!object.isMesh || !object.geometry.attributes.position) return;
+
+    const position = object.geometry.attributes.position;
+    for (let i = 0; i < position.count; i++) {
+      _a.fromBufferAttribute(position, i).applyMatrix4(object.matrixWorld);
+      values.push(_a.x, _a.y, _a.z);
+    }
+  });
+
+  return new Float32Array(values);
+}
+
+/**
+ * Collect the points of every point cloud (THREE.Points) below root in world space
+ * Returns { positions, colors }, colors are null unless some cloud has vertex colors
+ * (clouds without them are white)
+ */
+export function collectPoints(root) {
+  root.updateWorldMatrix(true, true);
+
+  const positions = [];
+  const colors = [];
+  let hasColors = false;
+  root.traverse(object => {
+    if (!object.isPoints || !object.geometry.attributes.position) return;
+
+    const { position, color } = object.geometry.attributes;
+    hasColors ||= Boolean(color);
+    for (let i = 0; i < position.count; i++) {
+      _a.fromBufferAttribute(position, i).applyMatrix4(object.matrixWorld);
+      positions.push(_a.x, _a.y, _a.z);
+      if (color) {
+        colors.push(color.getX(i), color.getY(i), color.getZ(i));
+      } else {
+        colors.push(1, 1, 1);
+      }
+    }
+  });
+
+  return {
+    positions: new Float32Array(positions),
+    colors: hasColors ? new Float32Array(colors) : null
+  };
+}
+
+/**
+ * Estimate how sharply the surface bends at each triangle (0 = flat, up to 2 = folded back)
+ * Face normals are averaged per vertex position, so hard edges that split vertices still count
+ */
+function computeTriangleCurvature(triangles) {
+  const triangleCount = triangles.length / 9;
+  const faceNormals = new Float32Array(triangleCount * 3);
+  const vertexNormals = new Map();
+  const keys = new Array(triangleCount * 3);
+
+  // Quantize positions so coincident vertices share one normal
+  const keyOf = (x, y, z) => `${Math.round(x * 1e4)},${Math.round(y * 1e4)},${Math.round(z * 1e4)}`;
+
+  for (let t = 0; t < triangleCount; t++) {
+    const t9 = t * 9;
+    _a.fromArray(triangles, t9);
+    _b.fromArray(triangles, t9 + 3);
+    _c.fromArray(triangles, t9 + 6);
+
+    // Unnormalized cross product weights the vertex normal by triangle area
+    _ab.subVectors(_b, _a);
+    _ac.subVectors(_c, _a);
+    _ab.cross(_ac);
+
+    for (let v = 0; v < 3; v++) {
+      const key = keyOf(triangles[t9 + v * 3], triangles[t9 + v * 3 + 1], triangles[t9 + v * 3 + 2]);
+      keys[t * 3 + v] = key;
+      const normal = vertexNormals.get(key) || vertexNormals.set(key, new THREE.Vector3()).get(key);
+      normal.add(_ab);
+    }
+
+    _ab.normalize();
+    faceNormals[t * 3] = _ab.x;
+    faceNormals[t * 3 + 1] = _ab.y;
+    faceNormals[t * 3 + 2] = _ab.z;
+  }
+
+  vertexNormals.forEach(normal => normal.normalize());
+
+  const curvature = new Float32Array(triangleCount);
+  for (let t = 0; t < triangleCount; t++) {
+    _a.fromArray(faceNormals, t * 3);
+
+    let deviation = 0;
+    for (let v = 0; v < 3; v++) {
+      deviation += 1 - _a.dot(vertexNormals.get(keys[t * 3 + v]));
+    }
+    curvature[t] = deviation / 3;
+  }
+
+  return curvature;
+}
+
+/**
+ * Sample exactly `count` points across the surface of every mesh below root
+ * Returns the sampled positions, the face normal at each point and the mesh each point came from
+ *
+ * Options:
+ * - weighting: 'area' (uniform density over the surface) or 'curvature'
+ *   (area weighted, with extra density along edges and bends)
+ * - curvatureStrength: how strongly curved triangles are favoured in 'curvature' mode
+ * - random: random number generator returning values in [0, 1)
+ */
+export function sampleSurfacePoints(root, count, { weighting = 'area', curvatureStrength = 4, random = Math.random } = {}) {
+  const { triangles, meshes, meshIndices } = collectTriangles(root);
+  const triangleCount = triangles.length / 9;
+  const curvature = weighting === 'curvature' ? computeTriangleCurvature(triangles) : null;
+
+  // Cumulative weights for picking triangles proportionally
+  const cumulative = new Float64Array(triangleCount);
+  let totalWeight = 0;
+
+  for (let t = 0; t < triangleCount; t++) {
+    const t9 = t * 9;
+    _a.fromArray(triangles, t9);
+    _b.fromArray(triangles, t9 + 3);
+    _c.fromArray(triangles, t9 + 6);
+
+    const area = _ab.subVectors(_b, _a).cross(_ac.subVectors(_c, _a)).length() * 0.5;
+    const weight = curvature ? area * (1 + curvature[t] * curvatureStrength) : area;
+
+    totalWeight += weight;
+    cumulative[t] = totalWeight;
+  }
+
+  if (!(totalWeight > 0)) {
+    throw new Error("sampleSurface: the scene has no mesh surface to sample");
+  }
+
+  const positions = new Float32Array(count * 3);
+  const normals = new Float32Array(count * 3);
+  const sampleMeshes = new Uint32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    // Binary search for the triangle that owns this weight
+    const target = random() * totalWeight;
+    let low = 0;
+    let high = triangleCount - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (cumulative[mid] < target) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    // Uniform random point inside the triangle (folded barycentric coordinates)
+    let u = random();
+    let v = random();
+    if (u + v > 1) {
+      u = 1 - u;
+      v = 1 - v;
+    }
+
+    const t9 = low * 9;
+    for (let axis = 0; axis < 3; axis++) {
+      const a = triangles[t9 + axis];
+      positions[i * 3 + axis] = a + (triangles[t9 + 3 + axis] - a) * u + (triangles[t9 + 6 + axis] - a) * v;
+    }
+
+    _a.fromArray(triangles, t9);
+    _b.fromArray(triangles, t9 + 3);
+    _c.fromArray(triangles, t9 + 6);
+    _ab.subVectors(_b, _a).cross(_ac.subVectors(_c, _a)).normalize().toArray(normals, i * 3);
+
+    sampleMeshes[i] = meshIndices[low];
+  }
+
+  return { positions, normals, meshes, meshIndices: sampleMeshes };
+}
+
+/**
+ * Sample exactly `count` positions across the surface of every mesh below root
+ * See sampleSurfacePoints() for the options
+ */
+export function sampleSurface(root, count, options) {
+  return sampleSurfacePoints(root, count, options).positions;
+}
+
+/**
+ * Classify sampled points as front, back or side from their surface normals
+ */
+export function classifyRegions(normals, threshold = 0.5) {
+  const regions = new Uint8Array(normals.length / 3);
+
+  for (let i = 0; i < regions.length; i++) {
+    const normalZ = normals[i * 3 + 2];
+    regions[i] = normalZ > threshold ? TargetRegion.FRONT : normalZ < -threshold ? TargetRegion.BACK : TargetRegion.SIDE;
+  }
+
+  return regions;
+}
+
+/**
+ * Center positions on their bounding box and scale them so the largest dimension equals size
+ * Lets arbitrary logos replace the X without matching its units
+ */
+export function fitPositions(positions, size) {
+  const box = new THREE.Box3().setFromArray(positions);
+  const center = box.getCenter(new THREE.Vector3());
+  const dimensions = box.getSize(new THREE.Vector3());
+  const largest = Math.max(dimensions.x, dimensions.y, dimensions.z);
+  const scale = largest > 0 ? size / largest : 1;
+
+  for (let i = 0; i < positions.length; i += 3) {
+    positions[i] = (positions[i] - center.x) * scale;
+    positions[i + 1] = (positions[i + 1] - center.y) * scale;
+    positions[i + 2] = (positions[i + 2] - center.z) * scale;
+  }
+
+  return positions;
+}
@@ -0,0 +1,128 @@
+import * as THREE from "three";
+import { DRACOLoader } from "three/examples/jsm/loaders/DRACOLoader.js";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { PLYLoader } from "three/examples/jsm/loaders/PLYLoader.js";
+import { XYZLoader } from "three/examples/jsm/loaders/XYZLoader.js";
+import { MeshoptDecoder } from "../decoders/meshopt_decoder.module.js";
+
+/**
+ * Model loading
+ * -------
+ * Loads GLB/GLTF (optionally Draco or Meshopt compressed), OBJ, PLY and XYZ models
+ * from a URL or an ArrayBuffer, reports download progress and retries failed
+ * downloads with an exponential backoff, so a flaky connection doesn't leave the
+ * page without a shape
+ * The decoders ship in the decoders folder next to index.html instead of coming from a CDN
+ */
+
+// The X model that ships next to index.html, used unless another model is configured
+export const bundledModelUrl = new URL("../x.glb", import.meta.url).href;
+
+// Formats the loader understands, picked from the file extension of a URL
+export const modelFormats = ["glb", "gltf", "obj", "ply", "xyz"];
+
+/**
+ * Default loading settings
+ * - retries: attempts after the first failed download
+ * - retryDelay: milliseconds before the first retry, doubled for every further one
+ * - fallback: shape shown when a stage still fails to load (any stage shape, see targets.js),
+ *   null keeps the wave without ever assembling
+ * - decoderPath: folder holding the Draco decoder (draco_wasm_wrapper.js and draco_decoder.wasm)
+ */
+export const defaultLoadingOptions = {
+  retries: 2,
+  retryDelay: 500,
+  fallback: "sphere",
+  decoderPath: new URL("../decoders/draco/", import.meta.url).href
+};
+
+const wait = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+/**
+ * Format of a model source: the given format, the extension of a URL or the
+ * signature of an ArrayBuffer. Anything else is handed to the GLTF loader as before
+ */
+function resolveFormat(source, format) {
+  if (format) {
+    if (!modelFormats.includes(format)) {
+      throw new TypeError(`Unknown model format "${format}", expected one of ${modelFormats.join(", ")}`);
+    }
+    return format;
+  }
+
+  if (source instanceof ArrayBuffer) {
+    const signature = new TextDecoder().decode(new Uint8Array(source, 0, Math.min(4, source.byteLength)));
+    if (signature === "glTF") return "glb";
+    if (signature.startsWith("ply")) return "ply";
+    return "gltf";
+  }
+
+  const extension = String(source).split(/[?#]/)[0].split(".").pop().toLowerCase();
+  return modelFormats.includes(extension) ? extension : "gltf";
+}
+
+/**
+ * Scene of a loaded model
+ * PLY and XYZ files hold a single geometry, which is a point cloud unless it has faces
+ */
+function toObject3D(format, result) {
+  if (format === "glb" || format === "gltf") return result.scene;
+  if (result.isObject3D) return result;
+  return result.index ? new THREE.Mesh(result) : new THREE.Points(result);
+}
+
+export class ModelLoader {
+  constructor(options = {}) {
+    this.settings = { ...defaultLoadingOptions, ...options };
+
+    // The Draco decoder is only downloaded once a compressed model needs it
+    this.dracoLoader = new DRACOLoader().setDecoderPath(this.settings.decoderPath);
+    this.gltfLoader = new GLTFLoader().setDRACOLoader(this.dracoLoader).setMeshoptDecoder(MeshoptDecoder);
+    this.loaders = {
+      glb: this.gltfLoader,
+      gltf: this.gltfLoader,
+      obj: new OBJLoader(),
+      ply: new PLYLoader(),
+      xyz: new XYZLoader()
+    };
+  }
+
+  /**
+   * Load a model and resolve with its scene
+   * - source: URL or ArrayBuffer of a model file
+   * - format: one of modelFormats, needed for OBJ and XYZ data in an ArrayBuffer
+   * - onProgress({ loaded, total }): download progress, total is 0 when the size is unknown
+   */
+  async load(source, { format = null, onProgress = null } = {}) {
+    const type = resolveFormat(source, format);
+    const loader = this.loaders[type];
+
+    if (source instanceof ArrayBuffer) {
+      // Parsing the same bytes again won't help, there is nothing to retry
+      if (loader === this.gltfLoader) return toObject3D(type, await loader.parseAsync(source, ""));
+      return toObject3D(type, loader.parse(type === "ply" ? source : new TextDecoder().decode(source)));
+    }
+
+    const { retries, retryDelay } = this.settings;
+    const reportProgress = event => {
+      if (onProgress) onProgress({ loaded: event.loaded, total: event.lengthComputable ? event.total : 0 });
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return toObject3D(type, await loader.loadAsync(source, reportProgress));
+      } catch (error) {
+        if (attempt >= retries) throw error;
+        await wait(retryDelay * 2 ** attempt);
+      }
+    }
+  }
+
+  /**
+   * Stop the Draco decoder workers
+   */
+  dispose() {
+    this.dracoLoader.dispose();
+  }
+}
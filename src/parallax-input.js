@@ -0,0 +1,264 @@
+/**
+ * Parallax input
+ * -------
+ * Turns the mouse, touch drags and the device orientation into one camera offset
+ * (x and y from -1 to 1), so phones get the same depth cue as a desktop cursor
+ * The owner smooths the offset and scales it with the camera parallax tracks
+ */
+
+const allSources = ["pointer", "touch", "orientation"];
+
+/**
+ * Default parallax settings
+ * - sources: inputs to follow, any of "pointer", "touch" and "orientation"
+ * - sensitivityX, sensitivityY: scale of each axis (negative values invert it)
+ * - orientationRange: device tilt (degrees) away from the calibrated rest position for a full offset
+ * - recenterSpeed: how quickly the rest position follows the way the device is held (per second, 0 keeps it)
+ * - touchRange: share of the screen a finger has to drag for a full offset
+ * - touchRecenter: let the offset return to the center when the finger lifts
+ * - requestPermission: "auto" asks for orientation access (iOS) on the first tap, "manual" leaves it
+ *   to requestOrientationPermission()
+ */
+export const defaultParallaxOptions = {
+  sources: allSources,
+  sensitivityX: 1,
+  sensitivityY: 1,
+  orientationRange: 20,
+  recenterSpeed: 0.2,
+  touchRange: 0.5,
+  touchRecenter: true,
+  requestPermission: "auto"
+};
+
+const clamp = value => Math.min(1, Math.max(-1, value));
+
+/**
+ * Whether orientation events need an explicit permission (iOS 13 and later)
+ */
+function needsOrientationPermission() {
+  return typeof DeviceOrientationEvent !== "undefined" && typeof DeviceOrientationEvent.requestPermission === "function";
+}
+
+/**
+ * Screen rotation in degrees (0, 90, 180 or 270)
+ */
+function getScreenAngle() {
+  if (window.screen && window.screen.orientation) return window.screen.orientation.angle;
+  return typeof window.orientation === "number" ? (window.orientation + 360) % 360 : 0;
+}
+
+export class ParallaxInput {
+  constructor(options = {}) {
+    const settings = { ...defaultParallaxOptions, ...options };
+
+    const unknown = settings.sources.filter(source => !allSources.includes(source));
+    if (unknown.length > 0) {
+      throw new TypeError(`Unknown parallax source "${unknown[0]}", expected any of ${allSources.join(", ")}`);
+    }
+    if (settings.requestPermission !== "auto" && settings.requestPermission !== "manual") {
+      throw new TypeError(`requestPermission must be "auto" or "manual", got ${settings.requestPermission}`);
+    }
+
+    this.settings = settings;
+    this.onChange = null; // Called when the offset changes, so an idle render loop can wake up
+
+    // Offset of each source
+    this.pointer = { x: 0, y: 0 };
+    this.touch = { x: 0, y: 0 };
+    this.orientation = { x: 0, y: 0 };
+
+    this.touchStart = null; // { id, clientX, clientY, x, y } of the dragging finger
+    this.rest = null; // Calibrated { beta, gamma } rest position
+    this.lastOrientation = null; // Latest { beta, gamma, time }
+    this.permission = needsOrientationPermission() ? "prompt" : "granted";
+    this.connected = false;
+
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handleTouchStart = this.handleTouchStart.bind(this);
+    this.handleTouchMove = this.handleTouchMove.bind(this);
+    this.handleTouchEnd = this.handleTouchEnd.bind(this);
+    this.handleOrientation = this.handleOrientation.bind(this);
+    this.handlePermissionGesture = this.handlePermissionGesture.bind(this);
+  }
+
+  uses(source) {
+    return this.settings.sources.includes(source);
+  }
+
+  connect() {
+    this.connected = true;
+
+    if (this.uses("pointer")) {
+      window.addEventListener("pointermove", this.handlePointerMove);
+    }
+    if (this.uses("touch")) {
+      window.addEventListener("touchstart", this.handleTouchStart, { passive: true });
+      window.addEventListener("touchmove", this.handleTouchMove, { passive: true });
+      window.addEventListener("touchend", this.handleTouchEnd, { passive: true });
+      window.addEventListener("touchcancel", this.handleTouchEnd, { passive: true });
+    }
+    if (this.uses("orientation")) {
+      if (this.permission === "granted") {
+        window.addEventListener("deviceorientation", this.handleOrientation);
+      } else if (this.permission === "prompt" && this.settings.requestPermission === "auto") {
+        // iOS only shows the permission prompt from within a user gesture
+        window.addEventListener("touchend", this.handlePermissionGesture);
+        window.addEventListener("click", this.handlePermissionGesture);
+      }
+    }
+  }
+
+  disconnect() {
+    this.connected = false;
+
+    window.removeEventListener("pointermove", this.handlePointerMove);
+    window.removeEventListener("touchstart", this.handleTouchStart);
+    window.removeEventListener("touchmove", this.handleTouchMove);
+    window.removeEventListener("touchend", this.handleTouchEnd);
+    window.removeEventListener("touchcancel", this.handleTouchEnd);
+    window.removeEventListener("deviceorientation", this.handleOrientation);
+    this.removePermissionGesture();
+  }
+
+  removePermissionGesture() {
+    window.removeEventListener("touchend", this.handlePermissionGesture);
+    window.removeEventListener("click", this.handlePermissionGesture);
+  }
+
+  /**
+   * Ask for access to the device orientation (needed on iOS), must run inside a user gesture
+   * Resolves with "granted" or "denied"
+   */
+  async requestOrientationPermission() {
+    if (this.permission === "prompt") {
+      try {
+        this.permission = await DeviceOrientationEvent.requestPermission();
+      } catch (error) {
+        // Called outside a user gesture, it can be asked again later
+        console.warn("ParallaxInput: orientation permission request failed", error);
+        return "denied";
+      }
+    }
+
+    if (this.permission === "granted" && this.connected && this.uses("orientation")) {
+      window.removeEventListener("deviceorientation", this.handleOrientation);
+      window.addEventListener("deviceorientation", this.handleOrientation);
+    }
+    return this.permission;
+  }
+
+  handlePermissionGesture() {
+    this.removePermissionGesture();
+    this.requestOrientationPermission();
+  }
+
+  handlePointerMove(event) {
+    // Touch pointers are handled as drags
+    if (event.pointerType === "touch") return;
+
+    this.pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
+    this.pointer.y = (event.clientY / window.innerHeight) * 2 - 1;
+    this.changed();
+  }
+
+  handleTouchStart(event) {
+    if (this.touchStart) return;
+
+    // The first finger drags, starting from the current offset
+    const touch = event.changedTouches[0];
+    this.touchStart = { id: touch.identifier, clientX: touch.clientX, clientY: touch.clientY, x: this.touch.x, y: this.touch.y };
+  }
+
+  handleTouchMove(event) {
+    const { touchStart } = this;
+    if (!touchStart) return;
+
+    const touch = Array.from(event.changedTouches).find(t => t.identifier === touchStart.id);
+    if (!touch) return;
+
+    const { touchRange } = this.settings;
+    this.touch.x = clamp(touchStart.x + (touch.clientX - touchStart.clientX) / (window.innerWidth * touchRange));
+    this.touch.y = clamp(touchStart.y + (touch.clientY - touchStart.clientY) / (window.innerHeight * touchRange));
+    this.changed();
+  }
+
+  handleTouchEnd(event) {
+    const { touchStart } = this;
+    if (!touchStart || !Array.from(event.changedTouches).some(t => t.identifier === touchStart.id)) return;
+
+    this.touchStart = null;
+    if (this.settings.touchRecenter) {
+      this.touch.x = 0;
+      this.touch.y = 0;
+      this.changed();
+    }
+  }
+
+  handleOrientation(event) {
+    if (event.beta === null || event.gamma === null) return;
+
+    // Tilt relative to the screen, which may be rotated to landscape
+    const angle = getScreenAngle();
+    let { beta, gamma } = event;
+    if (angle === 90) [beta, gamma] = [-gamma, beta];
+    else if (angle === 270) [beta, gamma] = [gamma, -beta];
+    else if (angle === 180) [beta, gamma] = [-beta, -gamma];
+
+    const time = event.timeStamp / 1000;
+
+    // The first reading is the rest position
+    if (!this.rest) this.rest = { beta, gamma };
+
+    // The rest position slowly follows the way the device is held
+    if (this.lastOrientation && this.settings.recenterSpeed > 0) {
+      const blend = 1 - Math.exp(-this.settings.recenterSpeed * Math.max(0, time - this.lastOrientation.time));
+      this.rest.beta += (beta - this.rest.beta) * blend;
+      this.rest.gamma += (gamma - this.rest.gamma) * blend;
+    }
+    this.lastOrientation = { beta, gamma, time };
+
+    const { orientationRange } = this.settings;
+    this.orientation.x = clamp((gamma - this.rest.gamma) / orientationRange);
+    this.orientation.y = clamp((beta - this.rest.beta) / orientationRange);
+    this.changed();
+  }
+
+  /**
+   * Make the way the device is held right now the rest position
+   */
+  calibrate() {
+    if (this.lastOrientation) {
+      this.rest = { beta: this.lastOrientation.beta, gamma: this.lastOrientation.gamma };
+    } else {
+      this.rest = null; // The next reading becomes the rest position
+    }
+    this.orientation.x = 0;
+    this.orientation.y = 0;
+    this.changed();
+  }
+
+  /**
+   * Recenter every source
+   */
+  recenter() {
+    this.pointer.x = this.pointer.y = 0;
+    this.touch.x = this.touch.y = 0;
+    this.touchStart = null;
+    this.calibrate();
+  }
+
+  changed() {
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * Combined offset of all sources, each axis from -1 to 1 (times its sensitivity)
+   */
+  get x() {
+    return clamp(this.pointer.x + this.touch.x + this.orientation.x) * this.settings.sensitivityX;
+  }
+
+  get y() {
+    return clamp(this.pointer.y + this.touch.y + this.orientation.y) * this.settings.sensitivityY;
+  }
+}
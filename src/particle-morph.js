@@ -0,0 +1,1800 @@
+import * as THREE from "three";
+import { vertexShader, fragmentShader, MAX_POINTERS } from "./shaders.js";
+import { ConfigStore, getDefaultParameters, parameterSchema } from "./config.js";
+import { createTargetAttributes, resolveTarget } from "./targets.js";
+import { Timeline, easings } from "./timeline.js";
+import { PlaybackDriver, ScrollDriver } from "./drivers.js";
+import { RenderScheduler } from "./render-scheduler.js";
+import { QualityController, createDrawOrder } from "./quality.js";
+import { ParticleSimulation } from "./simulation.js";
+import { PointerInteraction } from "./pointer-interaction.js";
+import { ParallaxInput } from "./parallax-input.js";
+import { ParticlePicker } from "./picking.js";
+import { ParticleSprites } from "./sprites.js";
+import { ModelLoader, bundledModelUrl } from "./model-loader.js";
+import { PostProcessing } from "./post-processing.js";
+import { TargetRegion } from "./mesh-sampler.js";
+import { getBackgroundGradient, getShapePalette, resolveTheme } from "./themes.js";
+import { createInitialState } from "./initial-states.js";
+import { createRandom } from "./random.js";
+
+/**
+ * Default integration options
+ * Tunable animation parameters live in the parameter schema (see config.js)
+ * and can be passed alongside these to createParticleMorph()
+ */
+export const defaultOptions = {
+  // Source of the target shape
+  modelUrl: bundledModelUrl, // Model of the default stage (GLB/GLTF, OBJ, PLY or XYZ): URL or ArrayBuffer (defaults to the x.glb next to index.html)
+  loading: null, // Model loading: { retries, retryDelay, fallback, decoderPath } (see model-loader.js)
+  stages: null, // Ordered list of target shapes, see getStageDefinitions() (defaults to a single stage using modelUrl)
+  particlesCount: 2754,
+  targetSampling: "surface", // 'surface' spreads exactly particlesCount points over all meshes, 'vertices' uses one particle per vertex
+  targetWeighting: "area", // 'area' for even density, 'curvature' to concentrate particles along edges and bends
+  curvatureStrength: 4, // How strongly curved regions are favoured when targetWeighting is 'curvature'
+  targetFitSize: null, // Scale the model so its largest dimension matches this size (null keeps the model units)
+  simulation: false, // GPU-simulated motion for dense clouds: true or { stiffness, damping, curlStrength, curlScale } (see simulation.js)
+  parallax: true, // Camera parallax from the mouse, touch drags and device tilt: false, true or { sources, sensitivityX, sensitivityY, ... } (see parallax-input.js)
+  picking: false, // Hover and click events for particles: false, true or { radius, highlight, highlightRadius, highlightSize, highlightColor, cursor }
+  interaction: false, // Particles react to the cursor and touches: false, true or { mode, radius, strength, falloff, ... } (see pointer-interaction.js)
+  sprite: "circle", // Particle shape: a style name or { style, assembledStyle, texture, columns, rows, index, rotation, ... } (see sprites.js)
+  seed: null, // Number or string that makes every random choice reproducible (null uses Math.random)
+
+  // Page integration
+  driver: "scroll", // What drives progress: "scroll", "time" (see playback), a custom driver object or null for setProgress() only
+  trackScroll: true, // Set to false to ignore scrolling and drive progress with setProgress()
+  sections: "section", // Selector (or array of elements) for the sections that define the scroll range
+  scroll: null, // Options of the "scroll" driver: { container, axis, start, end, source }
+  playback: null, // Options of the "time" driver: { duration, delay, repeatDelay, loop, pingPong, autoplay }
+  background: null, // Optional element (or selector) whose opacity follows the fade-out
+
+  // Choreography
+  timeline: null, // Keyframe tracks overriding the default timeline (see timeline.js)
+  themeTransition: 0.8, // Seconds a theme switch takes to blend the colors (0 switches at once)
+
+  // Performance
+  quality: null, // Adaptive quality options: { tiers, initialTier, minTier, maxTier, adaptive, ... } (see quality.js)
+  postProcessing: false, // Bloom, depth of field, vignette, grain and chromatic aberration on tiers with postEffects: false, true or { bloom, depthOfField, ... } (see post-processing.js)
+
+  // Accessibility
+  reducedMotion: "auto", // true, false or "auto" to follow the prefers-reduced-motion media query
+  reducedMotionStyle: "static", // "static" shows the assembled shape, "crossfade" fades between shapes instead of moving particles
+  ariaLabel: "Animated particle illustration", // Accessible name of the canvas
+  ariaDescription: null, // Longer description for screen readers: text, or an element that describes the animation
+};
+
+function isMobile() {
+  return window.innerWidth < 1000;
+}
+
+// Default picking settings (radius in CSS pixels, highlightRadius in scene units)
+const defaultPickingOptions = {
+  radius: 4,
+  highlight: true,
+  highlightRadius: 0.15,
+  highlightSize: 1.8,
+  highlightColor: "#ffffff",
+  cursor: "pointer"
+};
+
+// Difference below which the hover highlight counts as fully faded in or out
+const highlightEpsilon = 0.001;
+
+// Names of the target regions reported by picking events
+const regionNames = {
+  [TargetRegion.SIDE]: "side",
+  [TargetRegion.FRONT]: "front",
+  [TargetRegion.BACK]: "back"
+};
+
+function resolveElement(target) {
+  return typeof target === "string" ? document.querySelector(target) : target;
+}
+
+// Unique ids for generated description elements
+let descriptionId = 0;
+
+// Scratch objects for projecting pointers
+const raycaster = new THREE.Raycaster();
+const pointerRay = new THREE.Ray();
+const inverseMatrix = new THREE.Matrix4();
+const waveRotation = new THREE.Matrix4();
+const axisRotation = new THREE.Matrix4();
+const wavePlane = new THREE.Plane();
+const shapePlane = new THREE.Plane();
+const waveHit = new THREE.Vector3();
+const shapeHit = new THREE.Vector3();
+const planePoint = new THREE.Vector3();
+const waveNormal = new THREE.Vector3();
+
+// Scratch objects for post-processing
+const focusPoint = new THREE.Vector3();
+const drawingBufferSize = new THREE.Vector2();
+
+// Integration options that require the progress driver to be recreated
+const driverOptionKeys = ["driver", "trackScroll", "sections", "scroll", "playback"];
+
+// Integration options that require the target shapes to be reloaded
+const stageOptionKeys = ["modelUrl", "stages", "particlesCount", "targetSampling", "targetWeighting", "curvatureStrength", "targetFitSize", "simulation", "seed", "loading"];
+
+/**
+ * Scroll-driven particle morph
+ * Animates particles from an initial state (the U-shaped wave grid by default) through a sequence of target shapes
+ * Each instance owns its own scene, renderer and listeners so it can be mounted
+ * and torn down independently
+ */
+export class ParticleMorph {
+  constructor({ canvas, ...options } = {}) {
+    if (!canvas) {
+      throw new Error("ParticleMorph: a canvas element is required");
+    }
+
+    this.canvas = canvas;
+    this.options = { ...defaultOptions };
+
+    // Schema parameters go into the config store, everything else is an integration option
+    const parameters = getDefaultParameters({ mobile: isMobile() });
+    Object.keys(options).forEach(key => {
+      if (key in parameterSchema) {
+        parameters[key] = options[key];
+      } else {
+        this.options[key] = options[key];
+      }
+    });
+    this.config = new ConfigStore(parameters);
+    this.unsubscribeConfig = this.config.subscribe(changes => this.handleConfigChange(changes));
+    this.timeline = new Timeline(this.options.timeline || {});
+
+    // Colors, and the blend between two themes while switching
+    this.theme = resolveTheme(this.params.theme);
+    this.themeTransition = null;
+
+    // Smoothed parallax offset for camera animation (mouse, touch or device tilt)
+    this.parallax = null;
+    this.mouseX = 0;
+    this.mouseY = 0;
+
+    // Pointer interaction, pointers are projected onto the wave or the current shape
+    this.interaction = null;
+    this.shapeBounds = new THREE.Box3();
+    this.shapeCenter = new THREE.Vector3();
+
+    // Picking: hovered particle and the pointer it is picked under
+    this.picker = null;
+    this.pickingSettings = null;
+    this.hovered = null;
+    this.pickPointer = null; // Latest { x, y, event } of the pointer, in client coordinates
+    this.pickPending = false;
+    this.lastPickProgress = null;
+
+    // Event listeners by type (see on())
+    this.eventListeners = {};
+    this.phase = null; // Current phase: "wave", "assembling", "assembled", "fading" or "hidden"
+    this.blendMode = null; // Current particle blending: "additive" or "normal"
+    this.lastProgressEvent = null; // { progress, rawProgress } of the last progress event
+
+    // Smoothed scroll progress
+    this.targetProgress = 0;
+    this.currentProgress = 0;
+
+    // Progress the particles show: held on the wave until the stages have loaded,
+    // then eased towards the scroll position instead of jumping there
+    this.particleProgress = 0;
+    this.catchingUp = false;
+
+    // Progress driver (scroll position, playback time or a custom driver)
+    this.driver = null;
+
+    // Background gradient element reference
+    this.backgroundGradient = resolveElement(this.options.background);
+    this.backgroundColors = null; // Gradient currently shown on the background element
+
+    this.particles = null;
+    this.sprites = null; // Shape of the particles (see sprites.js)
+    this.postProcessing = null; // Post-processing effects, when enabled
+    this.simulation = null; // GPU simulation, when enabled and supported
+    this.stages = []; // Resolved stage attributes, in order
+    this.stageEnds = []; // Progress at which each stage is fully assembled
+    this.segmentIndex = -1; // Stage the particles are currently morphing into
+    this.loadId = 0;
+    this.destroyed = false;
+
+    this.animate = this.animate.bind(this);
+    this.handleResize = this.handleResize.bind(this);
+    this.handleMotionPreference = this.handleMotionPreference.bind(this);
+    this.handlePickMove = this.handlePickMove.bind(this);
+    this.handlePickLeave = this.handlePickLeave.bind(this);
+    this.handlePickClick = this.handlePickClick.bind(this);
+
+    // Only render while frames can change what is visible
+    this.scheduler = new RenderScheduler(this.animate, {
+      element: canvas,
+      isSettled: () => this.isSettled()
+    });
+
+    // Follow the user's reduced motion preference
+    this.motionQuery = window.matchMedia ? window.matchMedia("(prefers-reduced-motion: reduce)") : null;
+    this.prefersReducedMotion = Boolean(this.motionQuery && this.motionQuery.matches);
+    if (this.motionQuery) this.motionQuery.addEventListener("change", this.handleMotionPreference);
+
+    this.modelLoader = new ModelLoader(this.options.loading || {});
+
+    // Quality tier, stepped by the measured frame times
+    this.lastFrameTime = null;
+    this.setQualityController(new QualityController(this.options.quality || {}));
+
+    this.initScene();
+    this.setPostProcessing();
+    this.applyBackgroundColors(this.theme.background);
+    this.updateAccessibility();
+    this.setSprites();
+    this.buildGrid();
+    this.initParticles(this.options.particlesCount); // The wave shows while the stages load
+    this.loadTargets();
+    this.setDriver(this.createDriver());
+    this.setInteraction();
+    this.setParallax();
+    this.setPicking();
+
+    window.addEventListener("resize", this.handleResize);
+  }
+
+  /**
+   * Scene, camera and renderer setup
+   */
+  initScene() {
+    this.scene = new THREE.Scene();
+    this.sceneSize = {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      pixelRatio: this.getPixelRatio(),
+    };
+
+    // Add fog to fade distant particles
+    this.scene.fog = new THREE.FogExp2(this.theme.fog.getHex(), 100);
+
+    // Camera setup
+    this.camera = new THREE.PerspectiveCamera(
+      30,
+      this.sceneSize.width / this.sceneSize.height,
+      0.1,
+      100
+    );
+    // Adjust camera position to match the reference images more precisely
+    this.camera.position.set(0.8, 0.2, 3.5);
+    // Set camera to look at the origin (0,0,0)
+    this.camera.lookAt(0, 0, 0);
+
+    // Renderer configuration
+    this.renderer = new THREE.WebGLRenderer({
+      canvas: this.canvas,
+      antialias: this.quality.tier.antialias, // Fixed for the lifetime of the WebGL context
+      alpha: true // Enable transparency
+    });
+    this.renderer.setSize(this.sceneSize.width, this.sceneSize.height);
+    this.renderer.setPixelRatio(this.sceneSize.pixelRatio);
+    this.renderer.setClearColor(0x000000, 0); // Set alpha to 0 for full transparency
+  }
+
+  /**
+   * Describe the canvas to assistive technology
+   * The canvas is exposed as an image named by ariaLabel, ariaDescription text is placed
+   * in a visually hidden element next to it
+   */
+  updateAccessibility() {
+    const { canvas } = this;
+    const { ariaLabel, ariaDescription } = this.options;
+
+    if (this.descriptionElement) {
+      this.descriptionElement.remove();
+      this.descriptionElement = null;
+    }
+
+    canvas.setAttribute("role", "img");
+    if (ariaLabel) {
+      canvas.setAttribute("aria-label", ariaLabel);
+    } else {
+      canvas.removeAttribute("aria-label");
+    }
+
+    let description = null;
+    if (typeof ariaDescription === "string") {
+      description = document.createElement("p");
+      description.textContent = ariaDescription;
+      description.style.cssText = "position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0";
+      canvas.insertAdjacentElement("afterend", description);
+      this.descriptionElement = description;
+    } else if (ariaDescription) {
+      description = ariaDescription;
+    }
+
+    if (description) {
+      if (!description.id) description.id = `particle-morph-description-${++descriptionId}`;
+      canvas.setAttribute("aria-describedby", description.id);
+    } else {
+      canvas.removeAttribute("aria-describedby");
+    }
+  }
+
+  /**
+   * Whether particle flight, the idle wave and parallax are replaced by still frames
+   */
+  isReducedMotion() {
+    const { reducedMotion } = this.options;
+    return reducedMotion === "auto" ? this.prefersReducedMotion : Boolean(reducedMotion);
+  }
+
+  handleMotionPreference(event) {
+    this.prefersReducedMotion = event.matches;
+    this.scheduler.wake();
+  }
+
+  /**
+   * Whether rendering more frames would show the same picture
+   * - every particle and the background have faded out, or
+   * - reduced motion shows a still frame and progress has settled
+   * The hover highlight has to finish fading in or out first
+   * Time-based drivers keep the loop running while they play
+   */
+  isSettled() {
+    const { particles, driver } = this;
+    if (!particles) return false;
+
+    if (driver && driver.update && driver.playing !== false) return false;
+    if (this.themeTransition) return false;
+    if (this.currentProgress !== this.targetProgress || this.catchingUp) return false;
+    if (this.picker && Math.abs(particles.material.uniforms.uHighlight.value - this.getHighlightTarget()) > highlightEpsilon) return false;
+
+    const fadedOut = particles.material.uniforms.uFadeOutProgress.value <= 0
+      && (!this.backgroundGradient || Number(this.backgroundGradient.style.opacity) === 0);
+
+    return fadedOut || this.isReducedMotion();
+  }
+
+  /**
+   * Replace the quality controller and follow its tier changes
+   */
+  setQualityController(quality) {
+    if (this.unsubscribeQuality) this.unsubscribeQuality();
+
+    this.quality = quality;
+    this.unsubscribeQuality = quality.subscribe(() => this.applyQuality());
+  }
+
+  /**
+   * Device pixel ratio, capped by the quality tier
+   */
+  getPixelRatio() {
+    return Math.min(window.devicePixelRatio, this.quality.tier.pixelRatio);
+  }
+
+  /**
+   * Draw the share of particles allowed by the quality tier
+   */
+  updateDrawRange() {
+    if (!this.particles) return;
+
+    const count = this.particles.geometry.getAttribute("position").count;
+    this.particles.geometry.setDrawRange(0, Math.max(1, Math.round(count * this.quality.tier.particleRatio)));
+  }
+
+  /**
+   * Apply the current quality tier to the renderer and particles
+   */
+  applyQuality() {
+    this.updateDrawRange();
+    this.handleResize();
+  }
+
+  /**
+   * Random number generator for one consumer (a stage, the sprites ...)
+   * With a seed every consumer gets its own sequence, so the result doesn't depend
+   * on the order stages finish loading in or on what else was generated before
+   */
+  getRandom(stream) {
+    const { seed } = this.options;
+    return seed == null ? Math.random : createRandom(seed, stream);
+  }
+
+  /**
+   * Positions, grid colors and sizes of the configured initial state for `count` particles
+   */
+  createInitialState(count, gridRatio = this.params.gridRatio) {
+    return createInitialState(this.params.initialState, count, {
+      params: { ...this.params, gridRatio },
+      palette: this.theme.grid,
+      random: this.getRandom("initial state")
+    });
+  }
+
+  /**
+   * Initial particle positions, grid colors and sizes for the configured particle count
+   */
+  buildGrid() {
+    const { positions, colors, sizes } = this.createInitialState(this.options.particlesCount);
+    this.positions = positions;
+    this.gridColors = colors;
+    this.particleSizes = sizes;
+  }
+
+  /**
+   * Stage definitions, in order
+   * Each stage describes one shape the particles assemble into:
+   * - shape: procedural shape name, generator description ({ type: "text" | "svg" | "image", ... }),
+   *   model URL or ArrayBuffer (GLB/GLTF, OBJ, PLY or XYZ), THREE.Object3D, Float32Array or (count) => positions
+   * - format: model format when the URL has no telling extension or an ArrayBuffer holds OBJ or XYZ data
+   * - section: 1-based section at whose end the stage is fully assembled (optional)
+   * - colors: { front, back, side } gradient colors (on top of the theme's shape colors)
+   * - size: particle size multiplier
+   * - rotation: { x, y } presentation rotation in radians
+   * - sampling, weighting, fitSize: per-stage overrides of the target sampling options
+   */
+  getStageDefinitions() {
+    return this.options.stages && this.options.stages.length > 0
+      ? this.options.stages
+      : [{ shape: this.options.modelUrl }];
+  }
+
+  /**
+   * Load every stage shape and build the particle system once all of them are available
+   * Stages that fail to load (after the model loader's retries) show the fallback shape
+   * and report the failure through an error event
+   */
+  loadTargets() {
+    const loadId = ++this.loadId;
+    const definitions = this.getStageDefinitions();
+    const { particlesCount, targetSampling, targetWeighting, curvatureStrength, targetFitSize } = this.options;
+    const { fallback } = this.modelLoader.settings;
+    const current = () => !this.destroyed && loadId === this.loadId;
+
+    // Share of each stage that has loaded, for loadprogress events
+    const loaded = definitions.map(() => 0);
+    const reportProgress = (stage, share) => {
+      loaded[stage] = share;
+      if (!current()) return;
+      const progress = loaded.reduce((sum, value) => sum + value, 0) / loaded.length;
+      this.emit("loadprogress", { progress, stage });
+    };
+
+    const resolveStage = (stage, i, shape) => resolveTarget(shape, {
+      count: particlesCount,
+      loadModel: source => this.modelLoader.load(source, {
+        format: stage.format,
+        onProgress: ({ loaded: bytes, total }) => {
+          if (total > 0) reportProgress(i, Math.min(0.99, bytes / total));
+        }
+      }),
+      sampling: stage.sampling ?? targetSampling,
+      weighting: stage.weighting ?? targetWeighting,
+      curvatureStrength,
+      fitSize: stage.fitSize ?? targetFitSize,
+      random: this.getRandom(`stage ${i}`)
+    });
+
+    // First stage that failed without a fallback
+    let failedStage = null;
+
+    Promise.all(definitions.map((stage, i) => resolveStage(stage, i, stage.shape)
+      .catch(error => {
+        if (fallback == null) throw error;
+        if (current()) this.reportLoadError(error, i, true);
+        return resolveStage(stage, i, fallback);
+      })
+      .catch(error => {
+        failedStage ??= i;
+        throw error;
+      })
+      .then(target => {
+        reportProgress(i, 1);
+        return target;
+      })
+    )).then(targets => {
+      // The instance may have been destroyed or reconfigured while the shapes were loading
+      if (this.destroyed || loadId !== this.loadId) return;
+
+      // Vertex sampling can yield fewer points than particles, the first stage sets the count
+      const count = Math.min(particlesCount, targets[0].positions.length / 3);
+
+      this.targets = targets;
+      this.stages = definitions.map((stage, i) => createTargetAttributes(targets[i], count, {
+        ...stage,
+        colors: getShapePalette(this.theme, stage.colors),
+        random: this.getRandom(`sizes ${i}`)
+      }));
+      this.updateStageEnds();
+      this.attachTargets(count);
+      this.scheduler.wake();
+      this.emit("load", { stages: this.stages.length, particles: count });
+    }).catch(error => {
+      if (current()) this.reportLoadError(error, failedStage, false);
+    });
+  }
+
+  /**
+   * Show the loaded stages on the running wave
+   * The particles are only rebuilt when the stages bring a different particle count
+   */
+  attachTargets(count) {
+    const { particles } = this;
+    if (!particles || particles.geometry.getAttribute("position").count !== count) {
+      this.initParticles(count);
+      return;
+    }
+
+    this.segmentIndex = -1;
+    this.applySegment(0);
+  }
+
+  /**
+   * Emit an error event for a stage that failed to load
+   * fallback tells whether the fallback shape took its place
+   * Errors nobody listens to still show up in the console
+   */
+  reportLoadError(error, stage, fallback) {
+    if (this.hasListeners("error")) {
+      this.emit("error", { error, stage, fallback });
+    } else if (fallback) {
+      console.warn(`ParticleMorph: failed to load stage ${stage}, showing the fallback shape`, error);
+    } else {
+      console.error("ParticleMorph: failed to load target shapes", error);
+    }
+  }
+
+  /**
+   * Calculate the point size based on screen dimensions
+   * This ensures consistent point sizes across different devices and screen sizes
+   */
+  calculatePointSize() {
+    // Base size for a reference width of 1920px
+    const baseSize = (isMobile() ? 0.5 : 1) * 0.026;
+    const referenceWidth = 1920;
+
+    // Scale factor that increases size on smaller screens and decreases on larger screens
+    // The power value of 0.4 makes the scaling more gradual
+    const scaleFactor = Math.pow(referenceWidth / window.innerWidth, 0.4);
+
+    return baseSize * scaleFactor;
+  }
+
+  /**
+   * Initialize the particle system
+   * - Creates geometry with position, size, and color attributes
+   * - Allocates the from/target attributes that stage transitions are written into
+   * - Configures the shader material
+   */
+  initParticles(count) {
+    // Replace the previous particle system when the stages were reloaded
+    this.disposeParticles();
+
+    const geometry = new THREE.BufferGeometry();
+
+    // Set geometry attributes
+    // position always holds the wave grid, the other attributes hold the active transition
+    geometry.setAttribute("position", new THREE.BufferAttribute(this.positions.slice(0, count * 3), 3));
+    geometry.setAttribute("aPositionFrom", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute("aPositionTarget", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute("aSize", new THREE.BufferAttribute(new Float32Array(count), 1));
+    geometry.setAttribute("aTargetSize", new THREE.BufferAttribute(new Float32Array(count), 1)); // Add target shape sizes
+    geometry.setAttribute("aColor", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute("aGridColor", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute("aSpriteIndex", new THREE.BufferAttribute(new Float32Array(count), 1));
+    geometry.setAttribute("aSpriteRotation", new THREE.BufferAttribute(new Float32Array(count), 1));
+
+    // Optional GPU simulation, falls back to the closed-form animation where float render targets are missing
+    if (this.options.simulation) {
+      try {
+        const settings = typeof this.options.simulation === "object" ? this.options.simulation : {};
+        this.simulation = new ParticleSimulation(this.renderer, count, settings);
+      } catch (error) {
+        console.warn("ParticleMorph: GPU simulation unavailable, using the closed-form animation", error);
+      }
+    }
+
+    const { sceneSize } = this;
+
+    // Create shader material with uniforms
+    const material = new THREE.ShaderMaterial({
+      vertexShader,
+      fragmentShader,
+      uniforms: {
+        uSize: { value: this.calculatePointSize() }, // Base size multiplier with responsive sizing
+        uProgress: { value: 0.0 },
+        uBlendTransition: { value: 0.0 }, // Blend transition uniform
+        uTime: { value: 0.0 }, // Time uniform for wave animation
+        uResolution: {
+          value: new THREE.Vector2(
+            sceneSize.width * sceneSize.pixelRatio,
+            sceneSize.height * sceneSize.pixelRatio
+          ),
+        },
+        ...this.getParameterUniforms(),
+        uFadeOutProgress: { value: 0.0 }, // Initialize fade-out progress
+        uFromWave: { value: 1.0 }, // 1 while morphing out of the wave grid, 0 between two shapes
+        uStagger: { value: 1.2 }, // Spread of the per-particle delay
+        // Timeline driven values, updated every frame
+        uAssemblyDuration: { value: 0.4 },
+        uWaveStrength: { value: 1.0 },
+        uLateWave: { value: 0.0 },
+        uColorBlend: { value: 0.0 },
+        uDarkening: { value: 1.0 },
+        uCrossfade: { value: 0.0 }, // 1 when reduced motion replaces particle flight
+        uSimulation: { value: null }, // Position texture of the GPU simulation
+        uSimulationSize: { value: this.simulation ? this.simulation.size : 1 },
+        uSimulated: { value: 0.0 },
+        uPointers: { value: Array.from({ length: MAX_POINTERS }, () => new THREE.Vector4()) },
+        uPointerForce: { value: new THREE.Vector2() },
+        uPointerAxis: { value: new THREE.Vector3(0, 0, 1) },
+        uPointerRadius: { value: 1.0 },
+        uPointerStrength: { value: 0.0 },
+        uPointerFalloff: { value: 1.0 },
+        uFadeColor: { value: this.theme.fog.clone() }, // Color distant wave particles fade into
+        uHighlight: { value: 0.0 },
+        uHighlightCenter: { value: new THREE.Vector3() },
+        uHighlightRadius: { value: defaultPickingOptions.highlightRadius },
+        uHighlightSize: { value: defaultPickingOptions.highlightSize },
+        uHighlightColor: { value: new THREE.Color(defaultPickingOptions.highlightColor) },
+        // Sprite settings, written by applySprites()
+        uSpriteStyle: { value: 0 },
+        uAssembledSpriteStyle: { value: 0 },
+        uSpriteBlend: { value: 0.0 },
+        uSpriteTexture: { value: null },
+        uSpriteAtlas: { value: new THREE.Vector2(1, 1) },
+        uGlowFalloff: { value: 1.0 },
+        uRingWidth: { value: 0.0 },
+        uStarPoints: { value: 5.0 },
+        uStarInset: { value: 0.5 }
+      },
+      transparent: true,
+      depthWrite: false, // Disable depth writing for additive blending
+      depthTest: true,
+      // Start with additive blending for the wave animation
+      blending: THREE.AdditiveBlending
+    });
+
+    // The simulation follows the same transition as the closed-form animation
+    if (this.simulation) this.simulation.shareUniforms(material.uniforms);
+
+    // Create and add points mesh to scene
+    this.particles = new THREE.Points(geometry, material);
+
+    // Draw particles in an order where any prefix covers the whole shape,
+    // so lower quality tiers can draw fewer of them through the draw range
+    this.particles.geometry.setIndex(new THREE.BufferAttribute(createDrawOrder(count), 1));
+    this.updateDrawRange();
+
+    // Add a slight scale adjustment to make the X shape more distinctive
+    if (isMobile()) {
+      this.particles.scale.set(0.8, 0.8, 0.8);
+    } else {
+      this.particles.scale.set(1.1, 1.1, 1.1);
+    }
+
+    // Set renderOrder to ensure proper transparency handling
+    this.particles.renderOrder = 0;
+
+    this.scene.add(this.particles);
+    this.applySprites();
+    if (this.picker) this.applyPickingUniforms();
+
+    // Fill the attributes for the first transition (wave grid to first stage)
+    this.segmentIndex = -1;
+    this.applySegment(0);
+
+    // Regenerate with current gridRatio to ensure consistent appearance
+    this.regenerateParticles();
+  }
+
+  /**
+   * Write the attributes of one stage transition into the geometry
+   * Segment 0 morphs out of the wave grid, segment n morphs from stage n - 1 into stage n
+   * Until the stages have loaded only the wave is written, progress is held at its start
+   */
+  applySegment(index) {
+    const geometry = this.particles.geometry;
+    const target = this.stages[index];
+    const from = index > 0 ? this.stages[index - 1] : null;
+
+    const copy = (name, source) => {
+      const attribute = geometry.getAttribute(name);
+      attribute.array.set(source.subarray(0, attribute.array.length));
+      attribute.needsUpdate = true;
+    };
+
+    if (target) {
+      copy("aPositionTarget", target.positions);
+      copy("aTargetSize", target.sizes);
+      copy("aColor", target.colors);
+
+      // Pointers are projected onto a plane through the middle of the shape,
+      // the depth of field focuses on its front
+      this.shapeBounds.setFromArray(target.positions).getCenter(this.shapeCenter);
+    }
+
+    if (from) {
+      copy("aPositionFrom", from.positions);
+      copy("aSize", from.sizes);
+      copy("aGridColor", from.colors);
+    } else {
+      copy("aSize", this.particleSizes);
+      copy("aGridColor", this.gridColors);
+    }
+
+    // The simulation releases the particles from the same origin towards the same target
+    if (this.simulation) {
+      this.simulation.setOrigin(from ? from.positions : geometry.getAttribute("position").array);
+      if (target) this.simulation.setTarget(target.positions);
+    }
+
+    const { uniforms } = this.particles.material;
+    uniforms.uFromWave.value = from ? 0.0 : 1.0;
+
+    // The attributes now hold the new theme's colors, stop blending them
+    if (this.themeTransition) this.themeTransition.colors = null;
+
+    // Keep the stagger within the segment when another stage follows,
+    // so every particle has fully arrived before the next transition starts
+    uniforms.uStagger.value = index < this.stages.length - 1 ? 1.0 : 1.2;
+
+    this.segmentIndex = index;
+  }
+
+  /**
+   * Remove the particle system from the scene and release its GPU resources
+   */
+  disposeParticles() {
+    if (!this.particles) return;
+
+    this.scene.remove(this.particles);
+    if (this.simulation) {
+      this.simulation.dispose();
+      this.simulation = null;
+    }
+    this.particles.geometry.dispose();
+    this.particles.material.dispose();
+    this.particles = null;
+  }
+
+  /**
+   * Create the progress driver described by the driver option
+   */
+  createDriver() {
+    const { driver, trackScroll, sections, scroll, playback } = this.options;
+
+    if (driver && typeof driver === "object") return driver;
+    if (driver === "time") return new PlaybackDriver(playback || {});
+    if (driver === "scroll") return trackScroll ? new ScrollDriver({ sections, ...scroll }) : null;
+    if (driver == null) return null;
+
+    throw new TypeError(`Unknown progress driver: ${driver}`);
+  }
+
+  /**
+   * Replace the progress driver (null to only drive progress with setProgress())
+   */
+  setDriver(driver) {
+    if (this.driver) this.driver.disconnect();
+
+    this.driver = driver;
+    if (driver) driver.connect(this);
+
+    this.updateSectionPositions();
+  }
+
+  /**
+   * Create (or remove) the pointer interaction from the interaction option
+   */
+  setInteraction() {
+    if (this.interaction) this.interaction.disconnect();
+    this.interaction = null;
+
+    const { interaction } = this.options;
+    if (!interaction) return;
+
+    this.interaction = new PointerInteraction(this.canvas, typeof interaction === "object" ? interaction : {});
+    this.interaction.onChange = () => this.scheduler.wake();
+    this.interaction.connect();
+  }
+
+  /**
+   * Create (or remove) the post-processing effects from the postProcessing option
+   */
+  setPostProcessing() {
+    if (this.postProcessing) this.postProcessing.dispose();
+    this.postProcessing = null;
+
+    const { postProcessing } = this.options;
+    if (!postProcessing) return;
+
+    this.postProcessing = new PostProcessing(this.renderer, typeof postProcessing === "object" ? postProcessing : {});
+    const size = this.renderer.getDrawingBufferSize(drawingBufferSize);
+    this.postProcessing.setSize(size.x, size.y);
+  }
+
+  /**
+   * Distance from the camera to the front of the current shape, where the depth of field focuses
+   */
+  getFocusDistance() {
+    const { particles, camera } = this;
+    if (!particles) return camera.position.length();
+
+    particles.updateMatrixWorld();
+    focusPoint.copy(this.shapeCenter).applyMatrix4(particles.matrixWorld);
+    const halfDepth = (this.shapeBounds.max.z - this.shapeBounds.min.z) * particles.scale.z / 2;
+    return Math.max(camera.near, camera.position.distanceTo(focusPoint) - halfDepth);
+  }
+
+  /**
+   * Create the particle sprites from the sprite option
+   */
+  setSprites() {
+    const sprites = new ParticleSprites(this.options.sprite || {});
+    if (this.sprites) this.sprites.dispose();
+
+    this.sprites = sprites;
+    sprites.onChange = () => this.scheduler.wake();
+    if (this.particles) this.applySprites();
+  }
+
+  /**
+   * Write the sprite settings into the particle uniforms and attributes
+   */
+  applySprites() {
+    const { geometry, material } = this.particles;
+    const indices = geometry.getAttribute("aSpriteIndex");
+    const rotations = geometry.getAttribute("aSpriteRotation");
+
+    this.sprites.fillAttributes(indices.array, rotations.array, this.getRandom("sprites"));
+    indices.needsUpdate = true;
+    rotations.needsUpdate = true;
+    this.sprites.writeUniforms(material.uniforms);
+  }
+
+  /**
+   * Switch to the theme named by the theme parameter
+   * Colors blend over themeTransition seconds (at once with reduced motion)
+   */
+  applyTheme() {
+    const { particles } = this;
+    const theme = resolveTheme(this.params.theme);
+
+    // The transition starts from the colors on screen, which may be mid-transition themselves
+    const transition = {
+      start: null,
+      duration: particles && !this.isReducedMotion() ? this.options.themeTransition : 0,
+      fog: this.scene.fog.color.clone(),
+      background: this.backgroundColors,
+      colors: null
+    };
+    if (particles) {
+      const { geometry } = particles;
+      transition.colors = ["aColor", "aGridColor"].map(name => ({
+        attribute: geometry.getAttribute(name),
+        from: geometry.getAttribute(name).array.slice(),
+        to: null
+      }));
+    }
+
+    this.theme = theme;
+
+    // Recolor the grid and every stage, then show the colors of the active transition
+    if (particles) {
+      const definitions = this.getStageDefinitions();
+      const count = particles.geometry.getAttribute("position").count;
+      this.stages = this.stages.map((stage, i) => ({
+        ...stage,
+        // Only the colors are kept, positions and sizes stay as they are
+        colors: createTargetAttributes(this.targets[i], count, {
+          ...definitions[i],
+          colors: getShapePalette(theme, definitions[i].colors)
+        }).colors
+      }));
+      this.regenerateParticles();
+      this.applySegment(this.segmentIndex);
+
+      transition.colors.forEach(entry => {
+        entry.to = entry.attribute.array.slice();
+      });
+    }
+
+    this.themeTransition = transition;
+    if (transition.duration <= 0) {
+      this.updateThemeTransition(0);
+    } else {
+      this.updateThemeTransition(null);
+      this.scheduler.wake();
+    }
+  }
+
+  /**
+   * Advance a theme switch, time is the frame time in milliseconds (null before the first frame)
+   */
+  updateThemeTransition(time) {
+    const transition = this.themeTransition;
+    if (time !== null && transition.start === null) transition.start = time;
+
+    const elapsed = transition.start === null ? 0 : (time - transition.start) / 1000;
+    const t = transition.duration > 0 ? Math.min(1, elapsed / transition.duration) : 1;
+    const blend = easings.smoothstep(t);
+    const { theme } = this;
+
+    this.scene.fog.color.lerpColors(transition.fog, theme.fog, blend);
+    if (this.particles) this.particles.material.uniforms.uFadeColor.value.copy(this.scene.fog.color);
+
+    if (theme.background && transition.background) {
+      this.applyBackgroundColors({
+        inner: transition.background.inner.clone().lerp(theme.background.inner, blend),
+        outer: transition.background.outer.clone().lerp(theme.background.outer, blend)
+      });
+    } else {
+      this.applyBackgroundColors(theme.background);
+    }
+
+    if (transition.colors) {
+      transition.colors.forEach(({ attribute, from, to }) => {
+        const { array } = attribute;
+        for (let i = 0; i < array.length; i++) {
+          array[i] = from[i] + (to[i] - from[i]) * blend;
+        }
+        attribute.needsUpdate = true;
+      });
+    }
+
+    if (t >= 1) this.themeTransition = null;
+  }
+
+  /**
+   * Paint the background element's gradient (null leaves its CSS alone)
+   */
+  applyBackgroundColors(colors) {
+    if (!colors || !this.backgroundGradient) return;
+
+    this.backgroundColors = colors;
+    this.backgroundGradient.style.background = getBackgroundGradient(colors);
+  }
+
+  /**
+   * Create (or remove) the camera parallax input from the parallax option
+   */
+  setParallax() {
+    if (this.parallax) this.parallax.disconnect();
+    this.parallax = null;
+
+    const { parallax } = this.options;
+    if (!parallax) return;
+
+    this.parallax = new ParallaxInput(typeof parallax === "object" ? parallax : {});
+    this.parallax.onChange = () => this.scheduler.wake();
+    this.parallax.connect();
+  }
+
+  /**
+   * Create (or remove) particle picking from the picking option
+   * Picking stays off (with a warning) without WebGL2 or float render targets
+   */
+  setPicking() {
+    this.disposePicking();
+
+    const { picking } = this.options;
+    if (!picking) return;
+
+    this.pickingSettings = { ...defaultPickingOptions, ...(typeof picking === "object" ? picking : {}) };
+    try {
+      this.picker = new ParticlePicker(this.renderer, { radius: this.pickingSettings.radius * this.sceneSize.pixelRatio });
+    } catch (error) {
+      console.warn("ParticleMorph: picking unavailable", error);
+      return;
+    }
+
+    if (this.particles) this.applyPickingUniforms();
+
+    window.addEventListener("pointermove", this.handlePickMove);
+    window.addEventListener("pointerout", this.handlePickLeave);
+    window.addEventListener("click", this.handlePickClick);
+  }
+
+  disposePicking() {
+    if (!this.picker) return;
+
+    window.removeEventListener("pointermove", this.handlePickMove);
+    window.removeEventListener("pointerout", this.handlePickLeave);
+    window.removeEventListener("click", this.handlePickClick);
+    this.updateHover(null, null);
+    this.picker.dispose();
+    this.picker = null;
+    this.pickPointer = null;
+    if (this.particles) this.particles.material.uniforms.uHighlight.value = 0;
+  }
+
+  applyPickingUniforms() {
+    const { uniforms } = this.particles.material;
+    const { highlightRadius, highlightSize, highlightColor } = this.pickingSettings;
+    uniforms.uHighlightRadius.value = highlightRadius;
+    uniforms.uHighlightSize.value = highlightSize;
+    uniforms.uHighlightColor.value.set(highlightColor);
+  }
+
+  /**
+   * Particle under a point of the viewport (client coordinates)
+   * Returns { index, region, position } or null, where region is the particle's region
+   * in the current target shape ("front", "back" or "side") and position is in world space
+   */
+  pick(clientX, clientY) {
+    if (!this.picker || !this.particles) return null;
+
+    const rect = this.canvas.getBoundingClientRect();
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+    if (x < 0 || y < 0 || x > rect.width || y > rect.height) return null;
+
+    const { pixelRatio } = this.sceneSize;
+    const hit = this.picker.pick(this.particles, this.camera, x * pixelRatio, y * pixelRatio);
+    if (!hit) return null;
+
+    const stage = this.stages[this.segmentIndex];
+    return {
+      index: hit.index,
+      region: stage && stage.regions ? regionNames[stage.regions[hit.index]] : null,
+      position: hit.position
+    };
+  }
+
+  /**
+   * Emit hover and leave events when the hovered particle changes
+   */
+  updateHover(hit, event) {
+    const previous = this.hovered;
+    this.hovered = hit;
+
+    if (hit && (!previous || previous.index !== hit.index)) {
+      this.emit("hover", { ...hit, event });
+    } else if (!hit && previous) {
+      this.emit("leave", { ...previous, event });
+    }
+
+    // Show that the shape is clickable
+    if (Boolean(hit) !== Boolean(previous) && this.pickingSettings.cursor) {
+      this.canvas.style.cursor = hit ? this.pickingSettings.cursor : "";
+    }
+  }
+
+  handlePickMove(event) {
+    this.pickPointer = { x: event.clientX, y: event.clientY, event };
+    this.pickPending = true;
+    this.scheduler.wake();
+  }
+
+  handlePickLeave(event) {
+    // Only leaving the window drops the hover, not moving between elements
+    if (event.relatedTarget) return;
+    this.pickPointer = null;
+    this.updateHover(null, event);
+    this.scheduler.wake(); // The highlight fades out even when the loop was idle
+  }
+
+  handlePickClick(event) {
+    const hit = this.pick(event.clientX, event.clientY);
+    if (hit) this.emit("click", { ...hit, event });
+  }
+
+  /**
+   * Listen to an event:
+   * - load: the target shapes are loaded and the particles built, with { stages, particles }
+   * - loadprogress: part of the target shapes has loaded, with { progress, stage } (progress 0-1 over every stage)
+   * - error: a target shape failed to load, with { error, stage, fallback } where fallback tells whether the
+   *   fallback shape replaced it (logged to the console when nobody listens)
+   * - progress: the rendered progress moved, with { progress, rawProgress } (eased and as set by the driver)
+   * - phasechange: the piece entered another phase, with { phase, previous, stage }, phases being
+   *   "wave", "assembling", "assembled", "fading" and "hidden" (the first rendered frame reports previous null)
+   * - blendmodechange: the particles switched between "additive" and "normal" blending, with { blendMode, previous }
+   * - hover: the pointer moved onto a particle, with { index, region, position, event }
+   * - leave: the pointer left the particles, with the last hovered particle
+   * - click: a particle was clicked, with { index, region, position, event }
+   * Returns a function that removes the listener
+   */
+  on(type, listener) {
+    if (!this.eventListeners[type]) this.eventListeners[type] = new Set();
+    this.eventListeners[type].add(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Remove a listener added with on()
+   */
+  off(type, listener) {
+    if (this.eventListeners[type]) this.eventListeners[type].delete(listener);
+  }
+
+  emit(type, detail) {
+    if (this.eventListeners[type]) this.eventListeners[type].forEach(listener => listener(detail));
+  }
+
+  hasListeners(type) {
+    return Boolean(this.eventListeners[type] && this.eventListeners[type].size > 0);
+  }
+
+  /**
+   * Phase of the piece from the progress values animate() works with
+   * Stages after the first one count as assembling while they morph
+   */
+  updatePhase(segment, segmentProgress, fadeProgress, opacity) {
+    let phase;
+    if (fadeProgress > 0) {
+      phase = opacity <= 0 ? "hidden" : "fading";
+    } else if (segmentProgress >= 1) {
+      phase = "assembled";
+    } else if (segment > 0 || segmentProgress > 0) {
+      phase = "assembling";
+    } else {
+      phase = "wave";
+    }
+
+    if (phase === this.phase) return;
+    const previous = this.phase;
+    this.phase = phase;
+    this.emit("phasechange", { phase, previous, stage: segment });
+  }
+
+  /**
+   * Report the particle blending after animate() may have switched it
+   */
+  updateBlendMode(blending) {
+    const blendMode = blending === THREE.AdditiveBlending ? "additive" : "normal";
+    if (blendMode === this.blendMode) return;
+
+    const previous = this.blendMode;
+    this.blendMode = blendMode;
+    this.emit("blendmodechange", { blendMode, previous });
+  }
+
+  /**
+   * Report the rendered progress when it moved since the last frame
+   */
+  updateProgressEvent(progress, rawProgress) {
+    const last = this.lastProgressEvent;
+    if (last && last.progress === progress && last.rawProgress === rawProgress) return;
+
+    this.lastProgressEvent = { progress, rawProgress };
+    this.emit("progress", { progress, rawProgress });
+  }
+
+  /**
+   * Project a pointer (normalized device coordinates) into the particles' space
+   * Pointers land on the wave plane while the grid shows, and on a plane through the
+   * middle of the shape facing the camera once it assembles
+   * Returns false when the pointer doesn't hit the surface
+   */
+  projectPointer(coords, target) {
+    const { particles, params } = this;
+    const { uniforms } = particles.material;
+
+    raycaster.setFromCamera(coords, this.camera);
+    const ray = pointerRay.copy(raycaster.ray).applyMatrix4(inverseMatrix.copy(particles.matrixWorld).invert());
+
+    // Particles swirl around the line of sight
+    uniforms.uPointerAxis.value.copy(ray.direction).negate();
+
+    // The grid lies in its y = 0 plane, moved like in the vertex shader
+    // (the shader's rotation matrices are transposed, hence the negated angles)
+    waveRotation
+      .makeRotationZ(-params.waveRotationZ)
+      .multiply(axisRotation.makeRotationY(-params.waveRotationY))
+      .multiply(axisRotation.makeRotationX(-params.waveRotationX));
+    const waveLift = 0.2 * uniforms.uWaveStrength.value * uniforms.uFromWave.value;
+    planePoint.set(params.waveOffsetX, params.waveOffsetY + waveLift, params.waveOffsetZ).applyMatrix4(waveRotation);
+    wavePlane.setFromNormalAndCoplanarPoint(waveNormal.set(0, 1, 0).transformDirection(waveRotation), planePoint);
+    shapePlane.setFromNormalAndCoplanarPoint(uniforms.uPointerAxis.value, this.shapeCenter);
+
+    const waveBlend = uniforms.uFromWave.value * (1 - uniforms.uBlendTransition.value);
+    const onWave = ray.intersectPlane(wavePlane, waveHit);
+    const onShape = ray.intersectPlane(shapePlane, shapeHit);
+    if ((waveBlend > 0 && !onWave) || (waveBlend < 1 && !onShape)) return false;
+
+    target.lerpVectors(onShape ? shapeHit : waveHit, onWave ? waveHit : shapeHit, waveBlend);
+    return true;
+  }
+
+  /**
+   * Recalculate the driver's layout and the stage ends that depend on it
+   */
+  updateSectionPositions() {
+    if (this.driver && this.driver.refresh) this.driver.refresh();
+    this.updateStageEnds();
+  }
+
+  /**
+   * Calculate the progress at which each stage is fully assembled
+   * Stages tied to a section end with that section, the first stage defaults to
+   * mainAnimationEndProgress and the others are spread evenly up to the fade-out
+   */
+  updateStageEnds() {
+    const definitions = this.getStageDefinitions();
+    const { mainAnimationEndProgress, fadeOutStartProgress } = this.params;
+    const { driver } = this;
+
+    const ends = definitions.map((stage, i) => {
+      const end = stage.section != null && driver && driver.getSectionProgress
+        ? driver.getSectionProgress(stage.section)
+        : null;
+      if (end != null) return end;
+      return i === 0 ? mainAnimationEndProgress : null;
+    });
+
+    // Spread stages without a section evenly between their neighbours
+    for (let i = 1; i < ends.length; i++) {
+      if (ends[i] !== null) continue;
+
+      let next = i + 1;
+      while (next < ends.length && ends[next] === null) next++;
+      const nextEnd = next < ends.length ? ends[next] : Math.max(fadeOutStartProgress, ends[i - 1]);
+
+      ends[i] = ends[i - 1] + (nextEnd - ends[i - 1]) / (next - i + 1);
+    }
+
+    // Keep every transition at least a little wide
+    for (let i = 1; i < ends.length; i++) {
+      ends[i] = Math.max(ends[i], ends[i - 1] + 0.001);
+    }
+
+    this.stageEnds = ends;
+  }
+
+  /**
+   * Progress at which the fade-out starts (never before the last stage has assembled)
+   */
+  getFadeOutStart() {
+    const lastStageEnd = this.stageEnds.length > 0 ? this.stageEnds[this.stageEnds.length - 1] : 0;
+    return Math.max(this.params.fadeOutStartProgress, lastStageEnd);
+  }
+
+  handleResize() {
+    const { sceneSize, camera, renderer, particles } = this;
+
+    // Update sceneSize values
+    sceneSize.width = window.innerWidth;
+    sceneSize.height = window.innerHeight;
+    sceneSize.pixelRatio = this.getPixelRatio();
+
+    // Update camera aspect ratio
+    camera.aspect = sceneSize.width / sceneSize.height;
+    camera.updateProjectionMatrix();
+
+    // Update renderer size
+    renderer.setSize(sceneSize.width, sceneSize.height);
+    renderer.setPixelRatio(sceneSize.pixelRatio);
+    if (this.picker) this.picker.setRadius(this.pickingSettings.radius * sceneSize.pixelRatio);
+    if (this.postProcessing) {
+      const size = renderer.getDrawingBufferSize(drawingBufferSize);
+      this.postProcessing.setSize(size.x, size.y);
+    }
+
+    // Update particle uniforms if they exist
+    if (particles && particles.material && particles.material.uniforms) {
+      // Use the same format as in the initial setup
+      particles.material.uniforms.uResolution.value.set(
+        sceneSize.width * sceneSize.pixelRatio,
+        sceneSize.height * sceneSize.pixelRatio
+      );
+
+      // Use the shared function for point size calculation
+      particles.material.uniforms.uSize.value = this.calculatePointSize();
+
+      // Make sure the material knows it's been updated
+      particles.material.needsUpdate = true;
+    }
+
+    // Recalculate section positions on resize
+    this.updateSectionPositions();
+    this.scheduler.wake();
+  }
+
+
+  /**
+   * Set the animation progress (0-1)
+   * The rendered progress eases towards this value using scrollEasing, unless immediate is set
+   * While a driver is active its next update overrides it
+   */
+  setProgress(progress, { immediate = false } = {}) {
+    this.targetProgress = Math.min(1, Math.max(0, progress));
+    if (immediate) this.currentProgress = this.targetProgress;
+    this.scheduler.wake();
+  }
+
+  /**
+   * Current value of the parameter tunables (see config.js)
+   */
+  get params() {
+    return this.config.values;
+  }
+
+  /**
+   * Read a single parameter value
+   */
+  get(key) {
+    return this.config.get(key);
+  }
+
+  /**
+   * Set a single parameter
+   * The value is validated against the schema and the matching uniform,
+   * grid or section positions are updated
+   */
+  set(key, value) {
+    return this.config.set(key, value);
+  }
+
+  /**
+   * Update configuration at runtime
+   * Accepts both schema parameters and integration options
+   */
+  setOptions(options = {}) {
+    const parameters = {};
+    const previous = this.options;
+    this.options = { ...previous };
+
+    Object.keys(options).forEach(key => {
+      if (key in parameterSchema) {
+        parameters[key] = options[key];
+      } else {
+        this.options[key] = options[key];
+      }
+    });
+
+    const changed = (key) => key in options && options[key] !== previous[key];
+
+    this.config.update(parameters);
+
+    // New loading settings need a new loader, the stages reload with it below
+    // Loads still running on the old one are ignored once the stages reload
+    if (changed("loading")) {
+      this.modelLoader.dispose();
+      this.modelLoader = new ModelLoader(this.options.loading || {});
+    }
+
+    if (stageOptionKeys.some(changed)) {
+      // A new particle count or simulation needs new particles, they show the wave until the stages are back
+      if (changed("particlesCount") || changed("simulation")) {
+        if (changed("particlesCount")) this.buildGrid();
+        this.stages = [];
+        this.initParticles(this.options.particlesCount);
+      }
+      this.updateStageEnds();
+      this.loadTargets();
+    }
+
+    // The stages reload with a new seed, the sprites and the initial state are redrawn right away
+    if (changed("seed")) {
+      this.applySprites();
+      this.regenerateParticles();
+    }
+
+    if (changed("ariaLabel") || changed("ariaDescription")) {
+      this.updateAccessibility();
+    }
+
+    if (changed("quality")) {
+      this.setQualityController(new QualityController(this.options.quality || {}));
+      this.applyQuality();
+    }
+
+    if (changed("timeline")) {
+      this.timeline = new Timeline(this.options.timeline || {});
+    }
+
+    if (changed("interaction")) {
+      this.setInteraction();
+    }
+
+    if (changed("parallax")) {
+      this.setParallax();
+    }
+
+    if (changed("picking")) {
+      this.setPicking();
+    }
+
+    if (changed("sprite")) {
+      this.setSprites();
+    }
+
+    if (changed("postProcessing")) {
+      this.setPostProcessing();
+    }
+
+    if (changed("background")) {
+      this.backgroundGradient = resolveElement(this.options.background);
+      this.backgroundColors = null;
+      this.applyBackgroundColors(this.theme.background);
+    }
+
+    if (driverOptionKeys.some(changed)) {
+      this.setDriver(this.createDriver());
+    }
+
+    this.scheduler.wake();
+  }
+
+  /**
+   * Apply the side effects of changed parameters
+   */
+  handleConfigChange(changes) {
+    const keys = Object.keys(changes);
+    const effects = new Set(keys.map(key => parameterSchema[key].effect));
+
+    // Update uniform values if the material exists
+    if (this.particles) {
+      const { uniforms } = this.particles.material;
+      keys.forEach(key => {
+        const uniformName = parameterSchema[key].uniform;
+        if (uniformName) uniforms[uniformName].value = changes[key];
+      });
+    }
+
+    // Recalculate wave positions with new parameters
+    if (effects.has("grid")) {
+      this.regenerateParticles();
+    }
+
+    // Recalculate where the animation starts and ends
+    if (effects.has("sections")) {
+      this.updateSectionPositions();
+    }
+
+    if (effects.has("theme")) {
+      this.applyTheme();
+    }
+
+    this.scheduler.wake();
+  }
+
+  /**
+   * Uniform definitions for every parameter mirrored in the shaders
+   */
+  getParameterUniforms() {
+    const uniforms = {};
+    Object.keys(parameterSchema).forEach(key => {
+      const uniformName = parameterSchema[key].uniform;
+      if (uniformName) uniforms[uniformName] = { value: this.params[key] };
+    });
+    return uniforms;
+  }
+
+  /**
+   * Start the render loop
+   */
+  start() {
+    if (this.destroyed || this.scheduler.running) return;
+
+    // Pick up the current layout and scroll position in case the page loaded scrolled down
+    this.updateSectionPositions();
+
+    this.scheduler.start();
+  }
+
+  /**
+   * Stop the render loop, keeping the scene intact so it can be restarted
+   */
+  stop() {
+    this.scheduler.stop();
+  }
+
+  /**
+   * Stop rendering, remove all listeners and release GPU resources
+   */
+  destroy() {
+    if (this.destroyed) return;
+
+    this.stop();
+    this.destroyed = true;
+
+    this.unsubscribeConfig();
+    this.unsubscribeQuality();
+    this.setDriver(null);
+    if (this.interaction) this.interaction.disconnect();
+    this.disposePicking();
+
+    window.removeEventListener("resize", this.handleResize);
+    if (this.motionQuery) this.motionQuery.removeEventListener("change", this.handleMotionPreference);
+    if (this.descriptionElement) this.descriptionElement.remove();
+    if (this.parallax) this.parallax.disconnect();
+
+    this.disposeParticles();
+    this.sprites.dispose();
+    this.modelLoader.dispose();
+    if (this.postProcessing) this.postProcessing.dispose();
+    this.renderer.dispose();
+  }
+
+  /**
+   * Fade-out progress (0 when the fade-out starts, 1 at the end of the scroll range)
+   */
+  getFadeProgress(progress) {
+    const fadeOutStart = this.getFadeOutStart();
+    if (progress <= fadeOutStart || fadeOutStart >= 1) return 0;
+    return Math.min(1, (progress - fadeOutStart) / (1.0 - fadeOutStart));
+  }
+
+  /**
+   * Render one frame, scheduled by the render scheduler while anything visible changes
+   * Every animated value is sampled from the timeline tracks (see timeline.js)
+   */
+  animate(time = performance.now()) {
+    const { params, particles, camera, timeline } = this;
+
+    // Measure consecutive frames only, gaps from an idle render loop aren't slow frames
+    const frameTime = this.lastFrameTime !== null ? time - this.lastFrameTime : 0;
+    if (this.lastFrameTime !== null && frameTime < 250) {
+      this.quality.sample(frameTime);
+    }
+    this.lastFrameTime = time;
+    const reducedMotion = this.isReducedMotion();
+
+    // Strength of each post-processing effect, sampled from the timeline below
+    const postAmounts = { bloom: 0, depthOfField: 0, chromaticAberration: 0, vignette: 0, grain: 0 };
+
+    // Let time-based drivers advance progress, on the same clock as the frame
+    if (this.driver && this.driver.update) this.driver.update(time);
+
+    // Smooth scroll progress interpolation
+    this.currentProgress += (this.targetProgress - this.currentProgress) * params.scrollEasing;
+
+    // Snap once the difference is invisible so the scheduler can consider progress settled
+    if (Math.abs(this.targetProgress - this.currentProgress) < 1e-4) this.currentProgress = this.targetProgress;
+    const currentProgress = this.currentProgress;
+    this.updateProgressEvent(currentProgress, this.targetProgress);
+
+    // The particles hold the wave until the stages arrive, then catch up with the scroll position
+    const waiting = this.stages.length === 0;
+    if (waiting) {
+      this.particleProgress = 0;
+      this.catchingUp = currentProgress > 0;
+    } else if (this.catchingUp) {
+      this.particleProgress += (currentProgress - this.particleProgress) * params.scrollEasing;
+      if (Math.abs(currentProgress - this.particleProgress) < 1e-4) this.catchingUp = false;
+    }
+    if (!waiting && !this.catchingUp) this.particleProgress = currentProgress;
+    const { particleProgress } = this;
+
+    // Update particle animation progress with smoothed value
+    if (particles) {
+      const { stageEnds } = this;
+      const { uniforms } = particles.material;
+
+      // Find the stage transition the progress currently falls into
+      let segment = stageEnds.findIndex(end => particleProgress < end);
+      if (segment === -1) segment = stageEnds.length - 1;
+      if (segment !== this.segmentIndex) this.applySegment(segment);
+
+      // Progress within the active transition (0-1)
+      const segmentStart = segment > 0 ? stageEnds[segment - 1] : 0;
+      let segmentProgress = Math.min(1.0, Math.max(0, (particleProgress - segmentStart) / (stageEnds[segment] - segmentStart)));
+
+      // Calculate the main animation progress (0-1 from start to the end of the first stage)
+      // The transition out of the wave grid drives blending and rotation
+      let mainProgress = Math.min(1.0, particleProgress / stageEnds[0]);
+
+      // Reduced motion: particles don't fly, the shape is either shown assembled ("static")
+      // or swapped halfway through a fade out and in ("crossfade")
+      // The timeline only sees settled values, so nothing moves or flashes in between
+      // The still wave shows until the stages have loaded
+      let timelineProgress = segmentProgress;
+      if (reducedMotion && !waiting) {
+        if (this.options.reducedMotionStyle === "crossfade") {
+          timelineProgress = segmentProgress < 0.5 ? 0 : 1;
+          mainProgress = mainProgress < 0.5 ? 0 : 1;
+        } else {
+          segmentProgress = 1;
+          timelineProgress = 1;
+          mainProgress = 1;
+        }
+      }
+      uniforms.uProgress.value = segmentProgress;
+      uniforms.uCrossfade.value = reducedMotion ? 1.0 : 0.0;
+
+      // Transition tracks
+      uniforms.uAssemblyDuration.value = timeline.evaluate("assemblyDuration", timelineProgress);
+      uniforms.uWaveStrength.value = timeline.evaluate("waveStrength", timelineProgress);
+      uniforms.uLateWave.value = timeline.evaluate("lateWave", timelineProgress);
+      uniforms.uColorBlend.value = timeline.evaluate("colorBlend", timelineProgress);
+      uniforms.uDarkening.value = timeline.evaluate("darkening", timelineProgress);
+
+      // Between two shapes both ends are assembled and keep the assembled style
+      uniforms.uSpriteBlend.value = uniforms.uFromWave.value > 0 ? timeline.evaluate("spriteBlend", timelineProgress) : 1.0;
+
+      // Step the GPU simulation (it rests with reduced motion, and starts over from the anchors afterwards)
+      if (this.simulation) {
+        const simulate = !reducedMotion;
+        if (simulate) {
+          // Limit the step so the springs stay stable after a long frame
+          const delta = Math.min(frameTime / 1000, 1 / 30);
+          this.simulation.update(delta, timeline.evaluate("turbulence", timelineProgress));
+        } else {
+          this.simulation.reset();
+        }
+        uniforms.uSimulation.value = this.simulation.texture;
+        uniforms.uSimulated.value = simulate ? 1.0 : 0.0;
+      }
+
+      // Fade-out only starts after the last stage has assembled (1 = visible, 0 = invisible)
+      const fadeProgress = this.getFadeProgress(particleProgress);
+      uniforms.uFadeOutProgress.value = timeline.evaluate("opacity", fadeProgress);
+      this.updatePhase(segment, segmentProgress, fadeProgress, uniforms.uFadeOutProgress.value);
+
+      // Blend transition from additive to normal blending
+      const blendProgress = timeline.evaluate("blend", mainProgress);
+      uniforms.uBlendTransition.value = blendProgress;
+
+      // Create a wider transition window for blending mode switches
+      // This staggers the changes to avoid all changes happening at once
+      // The thresholds leave a gap so the mode doesn't flicker around a single value
+      // Themes for light backgrounds keep normal blending throughout
+      if ((blendProgress > 0.72 || !this.theme.additive) && particles.material.blending === THREE.AdditiveBlending) {
+        // Switch to normal blending once the blend is most of the way through
+        particles.material.blending = THREE.NormalBlending;
+        particles.material.needsUpdate = true; // Important: update material after changing blending
+      } else if (blendProgress <= 0.28 && this.theme.additive && particles.material.blending === THREE.NormalBlending) {
+        // Switch back to additive blending
+        particles.material.blending = THREE.AdditiveBlending;
+        particles.material.needsUpdate = true; // Important: update material after changing blending
+      }
+
+      // Handle depth writing separately with a slightly different threshold
+      if (blendProgress > 0.65 && particles.material.depthWrite === false) {
+        particles.material.depthWrite = true; // Enable depth writing
+        particles.material.needsUpdate = true;
+      } else if (blendProgress <= 0.35 && particles.material.depthWrite === true) {
+        particles.material.depthWrite = false; // Disable depth writing
+        particles.material.needsUpdate = true;
+      }
+      this.updateBlendMode(particles.material.blending);
+
+      // Apply a gradual rotation that builds up through the end of the intro
+      particles.rotation.x = timeline.evaluate("rotationX", mainProgress) * (Math.PI / 180);
+      particles.rotation.y = timeline.evaluate("rotationY", mainProgress) * (Math.PI / 180);
+      particles.rotation.z = 0; // Z rotation fixed at 0
+
+      // Post-processing tracks, the color fringes stay put with reduced motion
+      postAmounts.bloom = timeline.evaluate("bloom", mainProgress);
+      postAmounts.depthOfField = timeline.evaluate("depthOfField", mainProgress);
+      postAmounts.chromaticAberration = reducedMotion ? 0 : timeline.evaluate("chromaticAberration", timelineProgress);
+    }
+
+    // Update time-based animations
+    const elapsedTime = time / 1000; // Convert to seconds
+
+    // Update shader uniforms
+    // The idle wave stands still with reduced motion
+    if (particles && particles.material.uniforms.uTime && !reducedMotion) {
+      particles.material.uniforms.uTime.value = elapsedTime * params.waveSpeed;
+    }
+
+    // Smooth the parallax offset
+    const { parallax } = this;
+    this.mouseX += ((parallax ? parallax.x : 0) - this.mouseX) * 0.05;
+    this.mouseY += ((parallax ? parallax.y : 0) - this.mouseY) * 0.05;
+
+    // Camera position from the timeline
+    const baseX = timeline.evaluate("cameraX", currentProgress);
+    const baseY = timeline.evaluate("cameraY", currentProgress);
+    camera.position.z = timeline.evaluate("cameraZ", currentProgress);
+
+    // Parallax follows the mouse on desktop and touches or device tilt on phones, never with reduced motion
+    if (!reducedMotion) {
+      // Create subtle movement (the parallax tracks set the sensitivity)
+      const offsetX = this.mouseX * timeline.evaluate("cameraParallaxX", currentProgress);
+      const offsetY = -this.mouseY * timeline.evaluate("cameraParallaxY", currentProgress);
+
+      // Apply to camera position
+      camera.position.x = baseX + offsetX;
+      camera.position.y = baseY + offsetY;
+    } else {
+      // Fixed camera position
+      camera.position.x = baseX;
+      camera.position.y = baseY;
+    }
+
+    // Keep looking at the center
+    camera.lookAt(0, 0, 0);
+
+    // Move the particles under the pointers (they stay put with reduced motion)
+    if (particles && this.interaction) {
+      if (reducedMotion) {
+        this.interaction.reset();
+      } else {
+        camera.updateMatrixWorld();
+        particles.updateMatrixWorld();
+        this.interaction.update(Math.min(frameTime / 1000, 1 / 30), (coords, target) => this.projectPointer(coords, target));
+      }
+      this.interaction.writeUniforms(particles.material.uniforms);
+    }
+
+    // Synchronize background opacity with particle fadeout
+    if (this.backgroundGradient) {
+      this.backgroundGradient.style.opacity = timeline.evaluate("backgroundOpacity", this.getFadeProgress(this.targetProgress));
+    }
+
+    // Blend the colors of a theme switch
+    if (this.themeTransition) this.updateThemeTransition(time);
+
+    // Ease the highlight in and out, at once with reduced motion
+    // The hover found after this frame's render shows from the next frame on, isSettled() waits for it
+    if (this.picker && particles) {
+      const { uniforms } = particles.material;
+      const highlight = this.getHighlightTarget();
+      const remaining = highlight - uniforms.uHighlight.value;
+      uniforms.uHighlight.value = reducedMotion || Math.abs(remaining) <= highlightEpsilon
+        ? highlight
+        : uniforms.uHighlight.value + remaining * 0.2;
+      if (this.hovered) uniforms.uHighlightCenter.value.copy(this.hovered.position);
+    }
+
+    // Render the scene, through the post-processing effects when the quality tier allows them
+    if (this.postProcessing && this.quality.tier.postEffects) {
+      postAmounts.vignette = timeline.evaluate("vignette", currentProgress);
+      postAmounts.grain = timeline.evaluate("grain", currentProgress);
+      this.postProcessing.render(this.scene, camera, {
+        amounts: postAmounts,
+        focusDistance: this.getFocusDistance(),
+        time: reducedMotion ? 0 : time / 1000 // Still grain with reduced motion
+      });
+    } else {
+      this.renderer.render(this.scene, camera);
+    }
+
+    // Follow the hovered particle when the pointer or the particles moved
+    if (this.picker && particles) {
+      if (this.pickPointer && (this.pickPending || this.lastPickProgress !== particleProgress)) {
+        this.pickPending = false;
+        this.lastPickProgress = particleProgress;
+        this.updateHover(this.pick(this.pickPointer.x, this.pickPointer.y), this.pickPointer.event);
+      }
+    }
+  }
+
+  /**
+   * Highlight strength the hovered particle eases towards (0 without a hover)
+   */
+  getHighlightTarget() {
+    return this.hovered && this.pickingSettings.highlight ? 1 : 0;
+  }
+
+  /**
+   * Regenerates the initial state with the current parameters and theme
+   * This recalculates positions while preserving particle attributes and animation state
+   */
+  regenerateParticles(ratioParam = null) {
+    const particles = this.particles;
+    if (!particles) return; // Skip if particles don't exist yet
+
+    // Store current progress and material properties
+    const currentProgress = particles.material.uniforms.uProgress.value;
+    const currentBlendTransition = particles.material.uniforms.uBlendTransition.value;
+    const currentBlending = particles.material.blending;
+    const currentDepthWrite = particles.material.depthWrite;
+
+    // Grid colors and sizes live on the instance, the geometry only shows them
+    // while particles morph out of the initial state
+    const positionAttribute = particles.geometry.getAttribute('position');
+    const state = this.createInitialState(positionAttribute.count, ratioParam ?? this.params.gridRatio);
+    positionAttribute.array.set(state.positions.subarray(0, positionAttribute.array.length));
+    this.gridColors = state.colors;
+    this.particleSizes = state.sizes;
+
+    // Update the position attribute, and the color and size attributes when they show the grid
+    positionAttribute.needsUpdate = true;
+    if (this.segmentIndex === 0) this.applySegment(0);
+
+    // Restore animation state
+    particles.material.uniforms.uProgress.value = currentProgress;
+    particles.material.uniforms.uBlendTransition.value = currentBlendTransition;
+    particles.material.blending = currentBlending;
+    particles.material.depthWrite = currentDepthWrite;
+  }
+}
+
+/**
+ * Create a particle morph bound to the given canvas
+ * Call start() on the returned instance to begin rendering
+ */
+export function createParticleMorph(options) {
+  return new ParticleMorph(options);
+}
@@ -0,0 +1,129 @@
+import * as THREE from "three";
+import { pickingFragmentShader, pickingVertexShader } from "./shaders.js";
+
+/**
+ * GPU picking
+ * -------
+ * Particles move in the vertex shader, so a CPU raycast against the position
+ * attribute would miss them. Instead the particles are rendered once more, into a
+ * small float target around the pointer, with every pixel holding the world position
+ * and index of the nearest particle
+ * Needs WebGL2, particles are identified by their vertex index (gl_VertexID)
+ */
+export class ParticlePicker {
+  /**
+   * radius: pixels around the pointer that still hit a particle (device pixels)
+   */
+  constructor(renderer, { radius = 6 } = {}) {
+    // The picking vertex shader identifies particles by gl_VertexID
+    if (!renderer.capabilities.isWebGL2) {
+      throw new Error("ParticlePicker: picking needs WebGL2");
+    }
+    if (!renderer.extensions.has("EXT_color_buffer_float")) {
+      throw new Error("ParticlePicker: float render targets are not supported");
+    }
+
+    this.renderer = renderer;
+    this.target = new THREE.WebGLRenderTarget(1, 1, {
+      type: THREE.FloatType,
+      minFilter: THREE.NearestFilter,
+      magFilter: THREE.NearestFilter,
+      depthBuffer: true
+    });
+    this.radius = -1;
+    this.setRadius(radius);
+    this.material = null;
+    this.clearColor = new THREE.Color();
+    this.bufferSize = new THREE.Vector2();
+  }
+
+  /**
+   * Change the pixels around the pointer that still hit a particle (device pixels),
+   * e.g. after the pixel ratio changed
+   */
+  setRadius(radius) {
+    const next = Math.max(0, Math.round(radius));
+    if (next === this.radius) return;
+
+    this.radius = next;
+    this.size = next * 2 + 1;
+    this.target.setSize(this.size, this.size);
+    this.pixels = new Float32Array(this.size * this.size * 4);
+  }
+
+  /**
+   * Picking material sharing the uniforms of the particle material
+   */
+  getMaterial(particleMaterial) {
+    if (!this.material || this.material.uniforms !== particleMaterial.uniforms) {
+      if (this.material) this.material.dispose();
+      this.material = new THREE.ShaderMaterial({
+        vertexShader: pickingVertexShader,
+        fragmentShader: pickingFragmentShader,
+        uniforms: particleMaterial.uniforms,
+        blending: THREE.NoBlending,
+        depthTest: true,
+        depthWrite: true
+      });
+    }
+    return this.material;
+  }
+
+  /**
+   * Particle under a pixel of the drawing buffer (device pixels, from the top left)
+   * Returns { index, position } with the world position of the nearest particle
+   * close to the pixel, or null
+   */
+  pick(particles, camera, x, y) {
+    const { renderer, target, size, radius, pixels } = this;
+    const buffer = renderer.getDrawingBufferSize(this.bufferSize);
+
+    // Render only the window around the pixel
+    camera.setViewOffset(buffer.x, buffer.y, Math.round(x) - radius, Math.round(y) - radius, size, size);
+
+    const particleMaterial = particles.material;
+    const previousTarget = renderer.getRenderTarget();
+    const previousAlpha = renderer.getClearAlpha();
+    renderer.getClearColor(this.clearColor);
+
+    particles.material = this.getMaterial(particleMaterial);
+    renderer.setRenderTarget(target);
+    renderer.setClearColor(0x000000, 0);
+    renderer.clear();
+    renderer.render(particles, camera);
+
+    renderer.setRenderTarget(previousTarget);
+    renderer.setClearColor(this.clearColor, previousAlpha);
+    particles.material = particleMaterial;
+    camera.clearViewOffset();
+
+    renderer.readRenderTargetPixels(target, 0, 0, size, size, pixels);
+
+    // Closest hit to the center of the window
+    let best = -1;
+    let bestDistance = Infinity;
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const offset = (row * size + col) * 4;
+        if (pixels[offset + 3] < 0.5) continue;
+
+        const distance = (row - radius) ** 2 + (col - radius) ** 2;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = offset;
+        }
+      }
+    }
+
+    if (best < 0) return null;
+    return {
+      index: Math.round(pixels[best + 3]) - 1,
+      position: new THREE.Vector3(pixels[best], pixels[best + 1], pixels[best + 2])
+    };
+  }
+
+  dispose() {
+    this.target.dispose();
+    if (this.material) this.material.dispose();
+  }
+}
@@ -0,0 +1,210 @@
+import * as THREE from "three";
+import { MAX_POINTERS } from "./shaders.js";
+
+/**
+ * Pointer interaction
+ * -------
+ * Tracks the mouse and every finger on the screen so the particles can react
+ * locally. Each pointer is projected into the particles' space by the owner and
+ * gets an influence that springs towards 1 while it is active and back to 0 once it
+ * leaves, so displaced particles settle smoothly (with a slight overshoot)
+ */
+
+// Scratch vector for projections
+const projected = new THREE.Vector3();
+
+// Radial and tangential force of each mode
+const modeForces = {
+  repel: [1, 0],
+  attract: [-1, 0],
+  swirl: [0, 1]
+};
+
+/**
+ * Default interaction settings
+ * - mode: "repel", "attract" or "swirl"
+ * - radius: distance (scene units) within which particles react
+ * - strength: displacement of a particle right under the pointer
+ * - falloff: exponent of the falloff curve (higher = sharper center)
+ * - stiffness, damping: spring of the pointer influence
+ * - follow: how quickly the influence follows the pointer (per second)
+ */
+export const defaultInteractionOptions = {
+  mode: "repel",
+  radius: 0.35,
+  strength: 0.15,
+  falloff: 2,
+  stiffness: 120,
+  damping: 14,
+  follow: 12
+};
+
+/**
+ * Options are merged with defaultInteractionOptions, element is the canvas the
+ * pointer coordinates are relative to
+ */
+export class PointerInteraction {
+  constructor(element, options = {}) {
+    const settings = { ...defaultInteractionOptions, ...options };
+
+    if (!(settings.mode in modeForces)) {
+      throw new TypeError(`Unknown interaction mode "${settings.mode}", expected one of ${Object.keys(modeForces).join(", ")}`);
+    }
+
+    this.element = element;
+    this.settings = settings;
+    this.force = modeForces[settings.mode];
+    this.onChange = null; // Called when a pointer moves, so an idle render loop can wake up
+
+    // Fixed slots that map onto the shader's pointer array
+    this.slots = Array.from({ length: MAX_POINTERS }, () => ({
+      id: null,
+      active: false,
+      placed: false,
+      coords: new THREE.Vector2(), // Normalized device coordinates
+      position: new THREE.Vector3(), // Smoothed position in the particles' space
+      influence: 0,
+      velocity: 0
+    }));
+
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerOut = this.handlePointerOut.bind(this);
+    this.handleTouch = this.handleTouch.bind(this);
+    this.handleTouchEnd = this.handleTouchEnd.bind(this);
+  }
+
+  connect() {
+    // Touches are followed with touch events, pointer events are cancelled as soon as the page scrolls
+    window.addEventListener("pointermove", this.handlePointerMove);
+    window.addEventListener("pointerout", this.handlePointerOut);
+    window.addEventListener("touchstart", this.handleTouch, { passive: true });
+    window.addEventListener("touchmove", this.handleTouch, { passive: true });
+    window.addEventListener("touchend", this.handleTouchEnd, { passive: true });
+    window.addEventListener("touchcancel", this.handleTouchEnd, { passive: true });
+  }
+
+  disconnect() {
+    window.removeEventListener("pointermove", this.handlePointerMove);
+    window.removeEventListener("pointerout", this.handlePointerOut);
+    window.removeEventListener("touchstart", this.handleTouch);
+    window.removeEventListener("touchmove", this.handleTouch);
+    window.removeEventListener("touchend", this.handleTouchEnd);
+    window.removeEventListener("touchcancel", this.handleTouchEnd);
+  }
+
+  handlePointerMove(event) {
+    if (event.pointerType === "touch") return;
+    this.press(`pointer-${event.pointerId}`, event.clientX, event.clientY);
+  }
+
+  handlePointerOut(event) {
+    // Only leaving the window releases the mouse, not moving between elements
+    if (event.pointerType === "touch" || event.relatedTarget) return;
+    this.release(`pointer-${event.pointerId}`);
+  }
+
+  handleTouch(event) {
+    Array.from(event.changedTouches).forEach(touch => {
+      this.press(`touch-${touch.identifier}`, touch.clientX, touch.clientY);
+    });
+  }
+
+  handleTouchEnd(event) {
+    Array.from(event.changedTouches).forEach(touch => this.release(`touch-${touch.identifier}`));
+  }
+
+  /**
+   * Activate (or move) a pointer at the given client coordinates
+   * Pointers beyond MAX_POINTERS are ignored until a slot frees up
+   */
+  press(id, clientX, clientY) {
+    const slot = this.slots.find(s => s.id === id)
+      || this.slots.find(s => s.id === null)
+      || this.slots.find(s => !s.active);
+    if (!slot) return;
+
+    if (slot.id !== id) {
+      // A new pointer takes over the slot from where it appears
+      slot.id = id;
+      slot.placed = false;
+    }
+
+    const rect = this.element.getBoundingClientRect();
+    slot.coords.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    slot.active = true;
+
+    if (this.onChange) this.onChange();
+  }
+
+  release(id) {
+    const slot = this.slots.find(s => s.id === id);
+    if (!slot) return;
+
+    slot.active = false;
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * Advance the pointer springs
+   * - delta: seconds since the last frame
+   * - project(coords, target): writes the point under the given coordinates into target,
+   *   returns false when nothing is under the pointer
+   */
+  update(delta, project) {
+    const { stiffness, damping, follow } = this.settings;
+    const followBlend = 1 - Math.exp(-follow * delta);
+
+    this.slots.forEach(slot => {
+      if (slot.id === null) return;
+
+      let targetInfluence = 0;
+      if (slot.active && project(slot.coords, projected)) {
+        targetInfluence = 1;
+        if (slot.placed) {
+          slot.position.lerp(projected, followBlend);
+        } else {
+          slot.position.copy(projected);
+          slot.placed = true;
+        }
+      }
+
+      slot.velocity += (stiffness * (targetInfluence - slot.influence) - damping * slot.velocity) * delta;
+      slot.influence += slot.velocity * delta;
+
+      // Free released slots once they have settled
+      if (!slot.active && Math.abs(slot.influence) < 1e-3 && Math.abs(slot.velocity) < 1e-3) {
+        slot.id = null;
+        slot.influence = 0;
+        slot.velocity = 0;
+      }
+    });
+  }
+
+  /**
+   * Write the pointers into the shader uniforms: xyz position and w influence
+   */
+  writeUniforms(uniforms) {
+    this.slots.forEach((slot, i) => {
+      uniforms.uPointers.value[i].set(slot.position.x, slot.position.y, slot.position.z, slot.id === null ? 0 : slot.influence);
+    });
+    uniforms.uPointerForce.value.set(this.force[0], this.force[1]);
+    uniforms.uPointerRadius.value = this.settings.radius;
+    uniforms.uPointerStrength.value = this.settings.strength;
+    uniforms.uPointerFalloff.value = this.settings.falloff;
+  }
+
+  /**
+   * Drop every pointer at once (reduced motion)
+   */
+  reset() {
+    this.slots.forEach(slot => {
+      slot.id = null;
+      slot.active = false;
+      slot.influence = 0;
+      slot.velocity = 0;
+    });
+  }
+}
@@ -0,0 +1,214 @@
+import * as THREE from "three";
+import { FullScreenQuad } from "three/examples/jsm/postprocessing/Pass.js";
+import {
+  blurShader,
+  bloomBrightShader,
+  compositeShader,
+  depthOfFieldShader,
+  postVertexShader
+} from "./shaders.js";
+
+/**
+ * Post-processing
+ * -------
+ * Renders the scene into an offscreen target and runs it through bloom, depth of
+ * field, chromatic aberration, vignette and grain before it reaches the canvas.
+ * Colors stay premultiplied throughout, so the transparent canvas composites over
+ * the page exactly like a direct render (see the post-processing shaders)
+ * The owner scales every effect per frame with the timeline
+ */
+
+/**
+ * Default effect settings, each effect can be replaced by false to turn it off
+ * - bloom: { strength, threshold (brightness where the glow starts), radius (spread) }
+ * - depthOfField: { focusDistance (null focuses on the front of the shape), aperture (blur per
+ *   unit of distance from the focus), maxBlur (pixels) }
+ * - vignette: { strength, softness (share of the way from the corners to the center it fades over) }
+ * - grain: { strength }
+ * - chromaticAberration: { strength (channel offset at the corners, share of the screen) }
+ */
+export const defaultPostProcessingOptions = {
+  bloom: { strength: 1.2, threshold: 0.6, radius: 1 },
+  depthOfField: { focusDistance: null, aperture: 1.2, maxBlur: 6 },
+  vignette: { strength: 0.35, softness: 0.6 },
+  grain: { strength: 0.06 },
+  chromaticAberration: { strength: 0.004 }
+};
+
+// Blur passes of the bloom, each one spreads further
+const bloomLevels = 3;
+
+function createPassMaterial(fragmentShader, uniforms) {
+  return new THREE.ShaderMaterial({
+    vertexShader: postVertexShader,
+    fragmentShader,
+    uniforms,
+    blending: THREE.NoBlending,
+    depthTest: false,
+    depthWrite: false
+  });
+}
+
+export class PostProcessing {
+  /**
+   * Options are merged with defaultPostProcessingOptions, per effect
+   */
+  constructor(renderer, options = {}) {
+    const unknown = Object.keys(options).filter(effect => !(effect in defaultPostProcessingOptions));
+    if (unknown.length > 0) {
+      throw new TypeError(`Unknown post-processing effect "${unknown[0]}", expected any of ${Object.keys(defaultPostProcessingOptions).join(", ")}`);
+    }
+
+    // Effects left out use their defaults
+    const settings = {};
+    Object.keys(defaultPostProcessingOptions).forEach(effect => {
+      const value = options[effect] ?? true;
+      settings[effect] = value ? { ...defaultPostProcessingOptions[effect], ...(typeof value === "object" ? value : {}) } : null;
+    });
+
+    this.renderer = renderer;
+    this.settings = settings;
+    this.size = new THREE.Vector2(1, 1);
+
+    // Half floats keep the additive wave's highlights above 1 for the bloom threshold
+    const type = renderer.extensions.has("EXT_color_buffer_float") ? THREE.HalfFloatType : THREE.UnsignedByteType;
+    const createTarget = (options = {}) => new THREE.WebGLRenderTarget(1, 1, { type, depthBuffer: false, ...options });
+
+    this.sceneTarget = createTarget({ depthBuffer: true, depthTexture: settings.depthOfField ? new THREE.DepthTexture(1, 1) : null });
+    this.focusTarget = settings.depthOfField ? createTarget() : null;
+    this.bloomTargets = settings.bloom ? [createTarget(), createTarget()] : [];
+
+    this.quad = new FullScreenQuad();
+    this.brightMaterial = createPassMaterial(bloomBrightShader, {
+      tInput: { value: null },
+      uThreshold: { value: 0 }
+    });
+    this.blurMaterial = createPassMaterial(blurShader, {
+      tInput: { value: null },
+      uDirection: { value: new THREE.Vector2() }
+    });
+    this.focusMaterial = createPassMaterial(depthOfFieldShader, {
+      tInput: { value: null },
+      tDepth: { value: null },
+      uTexelSize: { value: new THREE.Vector2() },
+      uNear: { value: 0.1 },
+      uFar: { value: 100 },
+      uFocusDistance: { value: 1 },
+      uAperture: { value: 0 },
+      uMaxBlur: { value: 0 }
+    });
+    this.compositeMaterial = createPassMaterial(compositeShader, {
+      tInput: { value: null },
+      tBloom: { value: null },
+      uBloom: { value: 0 },
+      uChromaticAberration: { value: 0 },
+      uVignette: { value: 0 },
+      uVignetteSoftness: { value: 0.5 },
+      uGrain: { value: 0 },
+      uTime: { value: 0 }
+    });
+
+    this.clearColor = new THREE.Color();
+  }
+
+  /**
+   * Resize the targets to the drawing buffer (device pixels)
+   */
+  setSize(width, height) {
+    this.size.set(Math.max(1, Math.floor(width)), Math.max(1, Math.floor(height)));
+    const { x, y } = this.size;
+
+    this.sceneTarget.setSize(x, y);
+    if (this.focusTarget) this.focusTarget.setSize(x, y);
+
+    // The bloom is blurry anyway, half resolution is plenty
+    this.bloomTargets.forEach(target => target.setSize(Math.max(1, x >> 1), Math.max(1, y >> 1)));
+  }
+
+  pass(material, target) {
+    this.renderer.setRenderTarget(target);
+    this.quad.material = material;
+    this.quad.render(this.renderer);
+  }
+
+  /**
+   * Render a frame through the effects
+   * - amounts: { bloom, depthOfField, vignette, grain, chromaticAberration } multipliers of each effect's strength
+   * - focusDistance: distance the depth of field focuses on when the settings don't fix one
+   * - time: seconds, animates the grain
+   */
+  render(scene, camera, { amounts, focusDistance, time }) {
+    const { renderer, settings, sceneTarget } = this;
+    const { bloom, depthOfField, vignette, grain, chromaticAberration } = settings;
+
+    // The scene renders into the offscreen target on a transparent background
+    const previousTarget = renderer.getRenderTarget();
+    const previousAlpha = renderer.getClearAlpha();
+    renderer.getClearColor(this.clearColor);
+
+    renderer.setRenderTarget(sceneTarget);
+    renderer.setClearColor(0x000000, 0);
+    renderer.clear();
+    renderer.render(scene, camera);
+
+    // Depth of field, skipped while the timeline keeps it at 0
+    let image = sceneTarget.texture;
+    const maxBlur = depthOfField ? depthOfField.maxBlur * amounts.depthOfField : 0;
+    if (maxBlur > 0.5) {
+      const { uniforms } = this.focusMaterial;
+      uniforms.tInput.value = image;
+      uniforms.tDepth.value = sceneTarget.depthTexture;
+      uniforms.uTexelSize.value.set(1 / this.size.x, 1 / this.size.y);
+      uniforms.uNear.value = camera.near;
+      uniforms.uFar.value = camera.far;
+      uniforms.uFocusDistance.value = depthOfField.focusDistance ?? focusDistance;
+      uniforms.uAperture.value = depthOfField.aperture;
+      uniforms.uMaxBlur.value = maxBlur;
+      this.pass(this.focusMaterial, this.focusTarget);
+      image = this.focusTarget.texture;
+    }
+
+    // Bloom: bright pass, then blurred back and forth between the two half resolution targets
+    const bloomStrength = bloom ? bloom.strength * amounts.bloom : 0;
+    if (bloomStrength > 0) {
+      const [first, second] = this.bloomTargets;
+      this.brightMaterial.uniforms.tInput.value = sceneTarget.texture;
+      this.brightMaterial.uniforms.uThreshold.value = bloom.threshold;
+      this.pass(this.brightMaterial, first);
+
+      const { uniforms } = this.blurMaterial;
+      for (let level = 0; level < bloomLevels; level++) {
+        const spread = bloom.radius * (level + 1);
+        uniforms.tInput.value = first.texture;
+        uniforms.uDirection.value.set(spread / first.width, 0);
+        this.pass(this.blurMaterial, second);
+        uniforms.tInput.value = second.texture;
+        uniforms.uDirection.value.set(0, spread / first.height);
+        this.pass(this.blurMaterial, first);
+      }
+    }
+
+    // Everything else happens on the way to the canvas
+    const { uniforms } = this.compositeMaterial;
+    uniforms.tInput.value = image;
+    uniforms.tBloom.value = bloomStrength > 0 ? this.bloomTargets[0].texture : null;
+    uniforms.uBloom.value = bloomStrength;
+    uniforms.uChromaticAberration.value = chromaticAberration ? chromaticAberration.strength * amounts.chromaticAberration : 0;
+    uniforms.uVignette.value = vignette ? vignette.strength * amounts.vignette : 0;
+    uniforms.uVignetteSoftness.value = vignette ? Math.max(0.01, vignette.softness) : 0.5;
+    uniforms.uGrain.value = grain ? grain.strength * amounts.grain : 0;
+    uniforms.uTime.value = time % 1000;
+    this.pass(this.compositeMaterial, previousTarget);
+
+    renderer.setClearColor(this.clearColor, previousAlpha);
+  }
+
+  dispose() {
+    this.sceneTarget.dispose();
+    if (this.sceneTarget.depthTexture) this.sceneTarget.depthTexture.dispose();
+    if (this.focusTarget) this.focusTarget.dispose();
+    this.bloomTargets.forEach(target => target.dispose());
+    [this.brightMaterial, this.blurMaterial, this.focusMaterial, this.compositeMaterial].forEach(material => material.dispose());
+    this.quad.dispose();
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Adaptive quality
+ * -------
+ * Measures frame times and steps through quality tiers so slow devices stay
+ * smooth and fast ones get the full density
+ */
+
+/**
+ * Quality tiers, from lowest to highest
+ * - pixelRatio: maximum device pixel ratio rendered
+ * - particleRatio: share of the particles drawn
+ * - antialias: multisampling (only applies when the renderer is created, WebGL can't toggle it later)
+ * - postEffects: whether post-processing effects may run
+ */
+export const qualityTiers = [
+  { name: "low", pixelRatio: 1, particleRatio: 0.5, antialias: false, postEffects: false },
+  { name: "medium", pixelRatio: 1.5, particleRatio: 0.75, antialias: false, postEffects: false },
+  { name: "high", pixelRatio: 2, particleRatio: 1, antialias: true, postEffects: true }
+];
+
+/**
+ * Order in which particles are drawn, so that drawing only the first n of them
+ * still covers the whole shape evenly (golden ratio sequence)
+ */
+export function createDrawOrder(count) {
+  // Sort keys with the index packed into their low bits, so a plain numeric sort
+  // (native and fast for 100k+ particles) orders them without a comparator
+  const scale = 2 ** Math.ceil(Math.log2(count + 1));
+  const keyScale = 2 ** 52 / scale;
+  const keys = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    keys[i] = Math.floor(((i * 0.6180339887498949) % 1) * keyScale) * scale + i;
+  }
+  keys.sort();
+
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = keys[i] % scale;
+  return order;
+}
+
+/**
+ * Picks a tier from measured frame times
+ * Hysteresis keeps it from oscillating: the downgrade and upgrade thresholds are apart,
+ * frames are judged in windows, and every downgrade doubles the number of good
+ * windows needed before trying a higher tier again
+ *
+ * Options:
+ * - tiers: quality tiers, from lowest to highest
+ * - initialTier, minTier, maxTier: tier names or indices
+ * - adaptive: set to false to keep the initial tier
+ * - downgradeFrameTime: average frame time (ms) above which the tier is lowered
+ * - upgradeFrameTime: average frame time (ms) below which the tier may be raised
+ * - sampleSize: frames per measurement window
+ * - upgradeDelay: good windows required before the first upgrade
+ */
+export class QualityController {
+  constructor({
+    tiers = qualityTiers,
+    initialTier = null,
+    minTier = 0,
+    maxTier = tiers.length - 1,
+    adaptive = true,
+    downgradeFrameTime = 1000 / 45,
+    upgradeFrameTime = 1000 / 55,
+    sampleSize = 60,
+    upgradeDelay = 3
+  } = {}) {
+    this.tiers = tiers;
+    this.minTier = this.resolveTier(minTier);
+    this.maxTier = this.resolveTier(maxTier);
+
+    if (this.minTier > this.maxTier) {
+      throw new RangeError(`Minimum quality tier ${minTier} is above the maximum tier ${maxTier}`);
+    }
+
+    this.index = this.clampTier(initialTier === null ? this.maxTier : this.resolveTier(initialTier));
+    this.adaptive = adaptive;
+    this.downgradeFrameTime = downgradeFrameTime;
+    this.upgradeFrameTime = upgradeFrameTime;
+    this.sampleSize = sampleSize;
+
+    this.requiredGoodWindows = upgradeDelay;
+    this.goodWindows = 0;
+    this.frameTimeSum = 0;
+    this.frameCount = 0;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Index of a tier given by name or index
+   */
+  resolveTier(tier) {
+    const index = typeof tier === "string" ? this.tiers.findIndex(t => t.name === tier) : tier;
+
+    if (!Number.isInteger(index) || index < 0 || index >= this.tiers.length) {
+      throw new TypeError(`Unknown quality tier "${tier}"`);
+    }
+    return index;
+  }
+
+  clampTier(index) {
+    return Math.min(this.maxTier, Math.max(this.minTier, index));
+  }
+
+  /**
+   * Current tier settings
+   */
+  get tier() {
+    return this.tiers[this.index];
+  }
+
+  /**
+   * Switch to a tier (name or index, clamped to the min/max tiers) and notify listeners
+   */
+  setTier(tier) {
+    const index = this.clampTier(this.resolveTier(tier));
+    if (index === this.index) return;
+
+    const previous = this.tier;
+    this.index = index;
+    this.resetWindow();
+    this.listeners.forEach(listener => listener(this.tier, previous));
+  }
+
+  /**
+   * Record the duration of one frame in milliseconds
+   */
+  sample(frameTime) {
+    if (!this.adaptive) return;
+
+    this.frameTimeSum += frameTime;
+    this.frameCount++;
+    if (this.frameCount < this.sampleSize) return;
+
+    const average = this.frameTimeSum / this.frameCount;
+    this.resetWindow();
+
+    if (average > this.downgradeFrameTime && this.index > this.minTier) {
+      // Trying this tier again has to wait longer every time it failed
+      this.requiredGoodWindows = Math.min(this.requiredGoodWindows * 2, 64);
+      this.goodWindows = 0;
+      this.setTier(this.index - 1);
+    } else if (average < this.upgradeFrameTime && this.index < this.maxTier) {
+      this.goodWindows++;
+      if (this.goodWindows >= this.requiredGoodWindows) {
+        this.goodWindows = 0;
+        this.setTier(this.index + 1);
+      }
+    } else {
+      this.goodWindows = 0;
+    }
+  }
+
+  resetWindow() {
+    this.frameTimeSum = 0;
+    this.frameCount = 0;
+  }
+
+  /**
+   * Register a tier change listener, called with the new and the previous tier
+   * Returns a function that removes it
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Seeded random numbers
+ * -------
+ * A small pseudo random generator (mulberry32) standing in for Math.random, so a
+ * seed reproduces every random choice: surface samples, particle sizes, sprite
+ * cells and rotations
+ */
+
+/**
+ * 32-bit hash of a seed (FNV-1a over its string form)
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Random number generator returning values in [0, 1), like Math.random
+ * The same seed (a number or a string) always yields the same sequence, every
+ * stream name yields a different, independent one
+ */
+export function createRandom(seed, stream = "") {
+  if (typeof seed !== "number" && typeof seed !== "string") {
+    throw new TypeError(`A random seed must be a number or a string, got ${String(seed)} (${typeof seed})`);
+  }
+
+  let state = hashSeed(`${seed}/${stream}`);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
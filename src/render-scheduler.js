@@ -0,0 +1,99 @@
+/**
+ * Render scheduler
+ * -------
+ * Runs the render loop only while frames can change what is on screen
+ * The loop sleeps while the document is hidden, while the element is scrolled
+ * out of view and once the owner reports that nothing changes anymore (isSettled)
+ * Call wake() whenever something that affects the picture changes
+ */
+export class RenderScheduler {
+  constructor(render, { element = null, isSettled = () => false } = {}) {
+    this.render = render;
+    this.element = element;
+    this.isSettled = isSettled;
+
+    this.running = false;
+    this.frameId = null;
+    this.hidden = false; // document.hidden
+    this.offscreen = false; // The element doesn't intersect the viewport
+    this.observer = null;
+
+    this.frame = this.frame.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleIntersection = this.handleIntersection.bind(this);
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    this.hidden = Boolean(document.hidden);
+    document.addEventListener("visibilitychange", this.handleVisibilityChange);
+
+    if (this.element && typeof IntersectionObserver !== "undefined") {
+      this.observer = new IntersectionObserver(this.handleIntersection);
+      this.observer.observe(this.element);
+    }
+
+    this.wake();
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+
+    this.cancel();
+    document.removeEventListener("visibilitychange", this.handleVisibilityChange);
+
+    if (this.observer) this.observer.disconnect();
+    this.observer = null;
+  }
+
+  /**
+   * Whether the loop is paused because nothing can be seen
+   */
+  get idle() {
+    return this.hidden || this.offscreen;
+  }
+
+  /**
+   * Schedule a frame unless one is pending or nothing can be seen
+   */
+  wake() {
+    if (!this.running || this.frameId !== null || this.idle) return;
+    this.frameId = requestAnimationFrame(this.frame);
+  }
+
+  cancel() {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  frame(time) {
+    this.frameId = null;
+    this.render(time);
+
+    // Keep going until the picture stops changing
+    if (!this.isSettled()) this.wake();
+  }
+
+  handleVisibilityChange() {
+    this.hidden = Boolean(document.hidden);
+    if (this.idle) {
+      this.cancel();
+    } else {
+      this.wake();
+    }
+  }
+
+  handleIntersection(entries) {
+    this.offscreen = !entries[entries.length - 1].isIntersecting;
+    if (this.idle) {
+      this.cancel();
+    } else {
+      this.wake();
+    }
+  }
+}
@@ -0,0 +1,829 @@
+// Size of the pointer array of the vertex shader (mouse plus three fingers)
+export const MAX_POINTERS = 4;
+
+// Built-in particle styles, in the order of their ids in the fragment shaders
+export const spriteStyles = ["circle", "disc", "glow", "ring", "square", "star", "texture"];
+
+/**
+ * Simplex 3D noise shared by the particle shaders
+ * Used to stagger the per-particle animation timing
+ */
+const simplexNoise3d = `
+    //	Simplex 3D Noise 
+    //	by Ian McEwan, Ashima Arts
+    vec4 permute(vec4 x){ return mod(((x*34.0)+1.0)*x, 289.0); }
+    vec4 taylorInvSqrt(vec4 r){ return 1.79284291400159 - 0.85373472095314 * r; }
+    float simplexNoise3d(vec3 v) {
+        const vec2  C = vec2(1.0/6.0, 1.0/3.0);
+        const vec4  D = vec4(0.0, 0.5, 1.0, 2.0);
+
+        vec3 i  = floor(v + dot(v, C.yyy));
+        vec3 x0 = v - i + dot(i, C.xxx);
+
+        vec3 g = step(x0.yzx, x0.xyz);
+        vec3 l = 1.0 - g;
+        vec3 i1 = min(g.xyz, l.zxy);
+        vec3 i2 = max(g.xyz, l.zxy);
+
+        vec3 x1 = x0 - i1 + C.xxx;
+        vec3 x2 = x0 - i2 + C.yyy;
+        vec3 x3 = x0 - D.yyy;
+
+        i = mod(i, 289.0);
+        vec4 p = permute(permute(permute(
+            i.z + vec4(0.0, i1.z, i2.z, 1.0))
+            + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+            + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+
+        float n_ = 1.0/7.0;
+        vec3  ns = n_ * D.wyz - D.xzx;
+
+        vec4 j = p - 49.0 * floor(p * ns.z *ns.z);
+
+        vec4 x_ = floor(j * ns.z);
+        vec4 y_ = floor(j - 7.0 * x_);
+
+        vec4 x = x_ *ns.x + ns.yyyy;
+        vec4 y = y_ *ns.x + ns.yyyy;
+        vec4 h = 1.0 - abs(x) - abs(y);
+
+        vec4 b0 = vec4(x.xy, y.xy);
+        vec4 b1 = vec4(x.zw, y.zw);
+
+        vec4 s0 = floor(b0)*2.0 + 1.0;
+        vec4 s1 = floor(b1)*2.0 + 1.0;
+        vec4 sh = -step(h, vec4(0.0));
+
+        vec4 a0 = b0.xzyw + s0.xzyw*sh.xxyy;
+        vec4 a1 = b1.xzyw + s1.xzyw*sh.zzww;
+
+        vec3 p0 = vec3(a0.xy,h.x);
+        vec3 p1 = vec3(a0.zw,h.y);
+        vec3 p2 = vec3(a1.xy,h.z);
+        vec3 p3 = vec3(a1.zw,h.w);
+
+        vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2, p2), dot(p3,p3)));
+        p0 *= norm.x;
+        p1 *= norm.y;
+        p2 *= norm.z;
+        p3 *= norm.w;
+
+        vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0);
+        m = m * m;
+        return 42.0 * dot(m*m, vec4(dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3)));
+    }
+
+`;
+
+/**
+ * Particle sprites shared by the particle and picking fragment shaders
+ * Every style returns a color (multiplied with the particle color) and a coverage
+ * The sprite is rotated per particle and blends from the grid style to the assembled style
+ */
+const spriteShape = `
+    uniform int uSpriteStyle; // Style of the wave grid particles (index into spriteStyles)
+    uniform int uAssembledSpriteStyle; // Style of the assembled shapes
+    uniform float uSpriteBlend; // Grid style to assembled style (timeline)
+    uniform float uGlowFalloff; // Exponent of the glow halo
+    uniform float uRingWidth; // Width of the ring as a share of the sprite radius
+    uniform float uStarPoints;
+    uniform float uStarInset; // Radius of the star's inner corners (0-1)
+    uniform sampler2D uSpriteTexture;
+    uniform vec2 uSpriteAtlas; // Columns and rows of the sprite texture
+    varying float vSpriteIndex; // Atlas cell of the particle
+    varying float vSpriteRotation; // Rotation of the particle in radians
+
+    ${spriteStyles.map((style, i) => `const int SPRITE_${style.toUpperCase()} = ${i};`).join("\n    ")}
+
+    // Color (rgb) and coverage (a) of a style at a point of the sprite (-0.5 to 0.5 around its center)
+    vec4 spriteShape(int style, vec2 uv) {
+        float dist = length(uv);
+
+        if (style == SPRITE_DISC) {
+            // Hard edge
+            return vec4(1.0, 1.0, 1.0, step(dist, 0.5));
+        }
+        if (style == SPRITE_GLOW) {
+            // Bright core fading into a halo
+            return vec4(1.0, 1.0, 1.0, pow(max(0.0, 1.0 - dist * 2.0), uGlowFalloff));
+        }
+        if (style == SPRITE_RING) {
+            float halfWidth = uRingWidth * 0.25;
+            return vec4(1.0, 1.0, 1.0, 1.0 - smoothstep(halfWidth - 0.02, halfWidth, abs(dist - (0.48 - halfWidth))));
+        }
+        if (style == SPRITE_SQUARE) {
+            // Small enough to fit the sprite at any rotation
+            float edge = max(abs(uv.x), abs(uv.y));
+            return vec4(1.0, 1.0, 1.0, 1.0 - smoothstep(0.33, 0.35, edge));
+        }
+        if (style == SPRITE_STAR) {
+            // Radius alternates between the points and the inner corners, the first point faces up
+            float sector = 6.28318530718 / uStarPoints;
+            float angle = atan(uv.x, -uv.y);
+            float point = abs(mod(angle, sector) / sector * 2.0 - 1.0);
+            float radius = 0.48 * mix(uStarInset, 1.0, point);
+            return vec4(1.0, 1.0, 1.0, 1.0 - smoothstep(radius - 0.02, radius, dist));
+        }
+        if (style == SPRITE_TEXTURE) {
+            // Cell of the atlas, rows count from the top of the image and texture coordinates from the bottom
+            vec2 spriteUv = uv + 0.5;
+            float index = floor(vSpriteIndex + 0.5);
+            vec2 cell = vec2(mod(index, uSpriteAtlas.x), uSpriteAtlas.y - 1.0 - floor(index / uSpriteAtlas.x));
+            vec4 texel = texture2D(uSpriteTexture, (cell + vec2(spriteUv.x, 1.0 - spriteUv.y)) / uSpriteAtlas);
+
+            // Corners rotated out of the cell stay empty
+            vec2 inside = step(0.0, spriteUv) * step(spriteUv, vec2(1.0));
+            return texel * inside.x * inside.y;
+        }
+
+        // Circle with a soft edge
+        return vec4(1.0, 1.0, 1.0, smoothstep(0.5, 0.45, dist));
+    }
+
+    // Sprite at the current fragment
+    vec4 sprite() {
+        vec2 uv = gl_PointCoord - 0.5;
+        float s = sin(vSpriteRotation);
+        float c = cos(vSpriteRotation);
+        uv = mat2(c, s, -s, c) * uv;
+        return mix(spriteShape(uSpriteStyle, uv), spriteShape(uAssembledSpriteStyle, uv), uSpriteBlend);
+    }
+`;
+
+/**
+ * Wave grid motion shared by the particle and simulation shaders
+ * Rotations of the grid pattern and the idle wave displacing its particles
+ */
+const waveGrid = `
+    // Rotation function around the X axis
+    mat3 rotateX(float angle) {
+        float s = sin(angle);
+        float c = cos(angle);
+        return mat3(
+            1.0, 0.0, 0.0,
+            0.0, c, -s,
+            0.0, s, c
+        );
+    }
+    
+    // Rotation function around the Y axis
+    mat3 rotateY(float angle) {
+        float s = sin(angle);
+        float c = cos(angle);
+        return mat3(
+            c, 0.0, s,
+            0.0, 1.0, 0.0,
+            -s, 0.0, c
+        );
+    }
+    
+    // Rotation function around the Z axis
+    mat3 rotateZ(float angle) {
+        float s = sin(angle);
+        float c = cos(angle);
+        return mat3(
+            c, -s, 0.0,
+            s, c, 0.0,
+            0.0, 0.0, 1.0
+        );
+    }
+
+    // Idle wave displacement of a grid position
+    vec3 waveDisplacement(vec3 position, float time) {
+        // Create more dynamic horizontal waving with multiple wave components
+        // Primary horizontal wave (increased amplitude)
+        float waveX1 = sin(position.x * 2.0 + time * 0.5) * 0.08;
+        
+        // Secondary horizontal wave with different frequency
+        float waveX2 = sin(position.z * 1.5 + time * 0.7) * 0.06; 
+        
+        // Combine horizontal waves
+        float waveX = waveX1 + waveX2;
+        
+        // Vertical wave
+        float waveY = cos(position.z * 3.0 + time * 0.7) * 0.04;
+        
+        // Z-axis wave with horizontal influence
+        float waveZ1 = sin(position.x * 2.5 + position.z * 2.0 + time * 0.6) * 0.04;
+        float waveZ2 = cos(position.x * 1.7 + time * 0.4) * 0.05; // Additional Z movement based on X
+        float waveZ = waveZ1 + waveZ2; // Remove the excessive multiplier
+        
+        return vec3(waveX, waveY*1.+0.2, waveZ);
+    }
+`;
+
+/**
+ * Shaders
+ * -------
+ * The vertex shader handles particle positioning and animation:
+ * - Calculates staggered animation timing based on noise
+ * - Animates particles from the wave grid (or the previous stage) to the target shape
+ * - Places them where the GPU simulation moved them instead, when it runs
+ * - Handles particle size based on screen resolution and distance
+ */
+export const vertexShader = `
+    uniform vec2 uResolution;
+    uniform float uSize;
+    uniform float uProgress;
+    uniform float uFadeOutProgress; // Fade-out progress uniform
+    uniform float uWaveOffsetX;
+    uniform float uWaveOffsetY;
+    uniform float uWaveOffsetZ;
+    uniform float uWaveRotationX;
+    uniform float uWaveRotationY;
+    uniform float uWaveRotationZ;
+    uniform float uTime;
+    uniform float uFromWave; // 1.0 while morphing out of the wave grid, 0.0 between two shapes
+    uniform float uStagger; // Spread of the per-particle delay
+    uniform float uAssemblyDuration; // Share of the transition each particle takes to travel
+    uniform float uWaveStrength; // Idle wave motion of the grid (timeline)
+    uniform float uLateWave; // Sway of the assembled shape (timeline)
+    uniform float uColorBlend; // Origin to target color blend (timeline)
+    uniform float uCrossfade; // 1.0 swaps shapes at the middle of the transition instead of moving particles (reduced motion)
+    uniform sampler2D uSimulation; // Positions from the GPU simulation
+    uniform float uSimulationSize; // Width of the simulation textures in texels
+    uniform float uSimulated; // 1.0 when the GPU simulation is active
+    uniform vec4 uPointers[${MAX_POINTERS}]; // Pointer positions (xyz) and influence (w)
+    uniform vec2 uPointerForce; // Radial (repel/attract) and tangential (swirl) force
+    uniform vec3 uPointerAxis; // Direction towards the camera, the axis of the swirl
+    uniform float uPointerRadius;
+    uniform float uPointerStrength;
+    uniform float uPointerFalloff;
+    uniform float uHighlight; // Strength of the hover highlight (picking)
+    uniform vec3 uHighlightCenter; // World position of the hovered particle
+    uniform float uHighlightRadius;
+    uniform float uHighlightSize; // Size multiplier of highlighted particles
+    uniform vec3 uHighlightColor;
+    attribute vec3 aPositionFrom; // Previous stage position (used when uFromWave is 0)
+    attribute vec3 aPositionTarget;
+    attribute float aSize;
+    attribute float aTargetSize; // Add attribute for X shape target size
+    attribute vec3 aColor;
+    attribute vec3 aGridColor;
+    attribute float aSpriteIndex; // Atlas cell of the sprite texture
+    attribute float aSpriteRotation;
+    varying vec3 vColor;
+    varying float vSpriteIndex;
+    varying float vSpriteRotation;
+    varying float vWaveHeight; // New varying to pass wave height to fragment shader
+    varying float vDistanceFactor; // New varying to pass distance factor to fragment shader
+    varying float vFadeOutProgress; // Simplified - just pass the fade progress directly
+    
+    // Debug varyings
+    varying vec3 vStaticPosition; // Original position before transformations
+    varying vec3 vFinalPosition; // Final position after all transformations
+    varying vec3 vModelPosition; // Position after model matrix
+    varying float vRawDistanceX; // Raw distance value before normalization
+
+    ${simplexNoise3d}
+
+    ${waveGrid}
+
+    void main() {
+        // Origin of the transition: the wave grid or the previous stage
+        vec3 originPosition = mix(aPositionFrom, position, uFromWave);
+
+        // Generate noise values for staggered animation
+        float noiseOrigin = simplexNoise3d(originPosition * 0.2);
+        float noiseTarget = simplexNoise3d(aPositionTarget * 0.2);
+        float noise = mix(noiseOrigin, noiseTarget, uProgress);
+        noise = smoothstep(-1.0, 1.0, noise);
+        
+        // Calculate animation timing parameters
+        float duration = uAssemblyDuration;
+        float delay = (1.0 - duration) * noise * uStagger; // Slightly extended delay range for more staggering
+        float end = delay + duration;
+        
+        // Simply pass the fade-out progress to the fragment shader
+        vFadeOutProgress = uFadeOutProgress;
+        
+        // Static position with offsets and rotation applied
+        vec3 staticPosition = position;
+        
+        // Apply wave animation to grid state (when uProgress is low)
+        // The timeline keeps the wave at full strength until 60% progress, then fades it out quickly
+        // No wave at all when morphing between two shapes
+        float waveStrength = uWaveStrength * uFromWave;
+        
+        // Base position for wave calculation (use original position without rotation/offset)
+        vec3 waveBasePos = position;
+        
+        // Apply the wave displacement to position
+        staticPosition = waveBasePos + waveDisplacement(waveBasePos, uTime) * waveStrength;
+        
+        // Save staticPosition before offsets for debugging
+        vStaticPosition = staticPosition;
+        
+        // Apply offset
+        staticPosition.x += uWaveOffsetX;
+        staticPosition.y += uWaveOffsetY;
+        staticPosition.z += uWaveOffsetZ;
+            
+        // Apply rotation to the pattern
+        mat3 rotMatrix = rotateZ(uWaveRotationZ) * rotateY(uWaveRotationY) * rotateX(uWaveRotationX);
+        staticPosition = rotMatrix * staticPosition;
+        
+        // Calculate normalized wave height AFTER all transformations
+        // This ensures the height-based fade matches what's visually seen
+        float maxVisualHeight = 0.15; // Adjusted based on final transformed heights
+        float visualHeight = staticPosition.y; // Use the y-coordinate after all transformations
+        float normalizedVisualHeight = (visualHeight + 0.2) / (maxVisualHeight + 0.2); // Adjusted range
+        normalizedVisualHeight = clamp(normalizedVisualHeight, 0.0, 1.0); // Ensure values stay in 0-1 range
+        
+        // Calculate the target position for X shape
+        vec3 targetPosition = aPositionTarget;
+        
+        // Calculate assembly progress with staggered timing
+        float assemblyProgress = smoothstep(delay, end, uProgress);
+        
+        // Reduced motion: every particle switches at once while the crossfade hides it
+        assemblyProgress = mix(assemblyProgress, step(0.5, uProgress), uCrossfade);
+        
+        // Simply transition directly from static position (or previous stage) to target
+        vec3 startPosition = mix(aPositionFrom, staticPosition, uFromWave);
+        vec3 finalPosition = mix(startPosition, targetPosition, assemblyProgress);
+        
+        // The GPU simulation moves the particles itself, one texel per particle
+        float simIndex = float(gl_VertexID);
+        vec2 simUv = (vec2(mod(simIndex, uSimulationSize), floor(simIndex / uSimulationSize)) + 0.5) / uSimulationSize;
+        finalPosition = mix(finalPosition, texture2D(uSimulation, simUv).xyz, uSimulated);
+        
+        // Add subtle wave effect to all particles after 50% progress
+        // Between two shapes it stays at full strength so stages connect seamlessly
+        float lateWaveStrength = mix(1.0, uLateWave, uFromWave) * 0.03;
+        
+        // Add simple sine wave motion only in z-direction (front/back)
+        // Use x and y positions to create varied wave pattern
+        vec3 lateWavePosition = mix(finalPosition, targetPosition, uFromWave);
+        finalPosition.z += sin(uTime * 0.6 + lateWavePosition.x * 4.0 + lateWavePosition.y * 4.0) * lateWaveStrength;
+        
+        // Push, pull or swirl the particles around each pointer
+        for (int i = 0; i < ${MAX_POINTERS}; i++) {
+            vec4 pointer = uPointers[i];
+            vec3 pointerOffset = finalPosition - pointer.xyz;
+            float pointerDistance = length(pointerOffset);
+            float influence = pow(1.0 - clamp(pointerDistance / uPointerRadius, 0.0, 1.0), uPointerFalloff) * pointer.w;
+            vec3 radial = pointerOffset / max(pointerDistance, 0.0001);
+            vec3 tangent = cross(uPointerAxis, radial);
+            finalPosition += (radial * uPointerForce.x + tangent * uPointerForce.y) * influence * uPointerStrength;
+        }
+        
+        // Save finalPosition after all transformations but before model matrix
+        vFinalPosition = finalPosition;
+        
+        // Standard projection matrix transformations
+        vec4 modelPosition = modelMatrix * vec4(finalPosition, 1.0);
+        
+        // Save model position for debugging
+        vModelPosition = modelPosition.xyz;
+        
+        vec4 viewPosition = viewMatrix * modelPosition;
+        vec4 projectedPosition = projectionMatrix * viewPosition;
+        gl_Position = projectedPosition;
+
+        // Now calculate distance factor based on the final transformed position
+        // This uses true 3D distance to the camera for more accurate depth effects
+        vec3 cameraPosition = vec3(0.8, 0.2, 3.5);
+
+        // Calculate true distance in 3D space from camera
+        // This properly accounts for all rotations and transformations
+        float dx = cameraPosition.x - modelPosition.x;
+        float dy = cameraPosition.y - modelPosition.y;
+        float dz = cameraPosition.z - modelPosition.z;
+        float distanceToCamera = sqrt(dx*dx + dy*dy + dz*dz);
+
+        // Save raw distance for debugging
+        vRawDistanceX = distanceToCamera;
+
+        // Normalize the distance factor (0-1 range, where 1 is furthest)
+        // Adjust the divisor based on the scene scale
+        float normalizedDistanceFactor = clamp(distanceToCamera / 5.0, 0.0, 1.0);
+
+        // Apply a power curve to make the effect more dramatic at greater distances
+        float distanceFactor = pow(normalizedDistanceFactor, 1.2);
+        
+        // Pass both height and distance factors to fragment shader
+        vWaveHeight = normalizedVisualHeight * waveStrength;
+        vDistanceFactor = distanceFactor * waveStrength;
+
+        // Blend between grid size and target X shape size
+        float finalSize = mix(aSize, aTargetSize, assemblyProgress);
+        gl_PointSize = finalSize * uSize * uResolution.y;
+        gl_PointSize *= (1.0 / - viewPosition.z);
+
+        // Blend between grid colors and target colors
+        // The timeline transitions between 40-70% of the animation progress
+        vColor = mix(aGridColor, aColor, uColorBlend);
+        
+        // Boost the particles around the hovered one
+        float highlight = uHighlight * (1.0 - smoothstep(0.0, uHighlightRadius, distance(modelPosition.xyz, uHighlightCenter)));
+        gl_PointSize *= 1.0 + (uHighlightSize - 1.0) * highlight;
+        vColor = mix(vColor, uHighlightColor, highlight * 0.6);
+
+        vSpriteIndex = aSpriteIndex;
+        vSpriteRotation = aSpriteRotation;
+    }
+`;
+
+/**
+ * Picking shaders render every particle's world position and index (plus one, so
+ * 0 means no particle) into a float target, the particle under the pointer is read back
+ * The vertex shader is the particle vertex shader with the index passed along
+ * gl_VertexID only exists in GLSL 3, ParticlePicker checks for WebGL2 up front
+ */
+export const pickingVertexShader = vertexShader.replace(
+  "void main() {",
+  `varying float vPickIndex;
+
+    void main() {
+        vPickIndex = float(gl_VertexID);`
+);
+
+export const pickingFragmentShader = `
+    varying vec3 vModelPosition;
+    varying float vFadeOutProgress;
+    varying float vPickIndex;
+
+    ${spriteShape}
+
+    void main() {
+        // Same sprite as the particles, faded out particles can't be picked
+        if (sprite().a < 0.5 || vFadeOutProgress < 0.05) discard;
+        gl_FragColor = vec4(vModelPosition, vPickIndex + 1.0);
+    }
+`;
+
+/**
+ * Fragment shader draws the particle sprite (see spriteShape) with the vertex color
+ * With dynamic blending transition from additive (wave) to normal (X shape)
+ */
+export const fragmentShader = `
+    varying vec3 vColor;
+    varying float vWaveHeight; // Receive wave height from vertex shader
+    varying float vDistanceFactor; // Receive distance factor from vertex shader
+    varying float vFadeOutProgress; // Receive fade-out progress from vertex shader
+    // Debug varyings
+    varying vec3 vStaticPosition; // Original position before transformations
+    varying vec3 vFinalPosition; // Final position after all transformations
+    varying vec3 vModelPosition; // Position after model matrix
+    varying float vRawDistanceX; // Raw distance value before normalization
+    uniform float uProgress; // Animation progress uniform
+    uniform float uBlendTransition; // Dedicated uniform for blend transition
+    uniform float uDarkening; // Strength of the wave darkening (timeline)
+    uniform float uCrossfade; // Reduced motion crossfade (1.0 enabled)
+    uniform vec3 uFadeColor; // Color distant particles fade into (theme fog color)
+    uniform float uDistanceOpacityFactor; // Factor for distance-based darkening
+    uniform float uHeightOpacityFactor; // Factor for height-based darkening
+    uniform float uDistantHeightOpacityBoost; // Factor for boosting darkness of distant high particles
+
+    ${spriteShape}
+    
+    void main() {
+        // Shape of the particle (a soft circle unless another style is selected)
+        vec4 shape = sprite();
+        
+        // Apply smoothstep for more natural transition
+        float blendFactor = smoothstep(0.0, 1.0, uBlendTransition);
+        
+        // Calculate final color components
+        // For additive blending effect: boost the color brightness in wave state
+        // For normal blending in X shape: use normal colors with appropriate alpha
+        vec3 finalColor = vColor * shape.rgb * mix(1.5, 1.0, blendFactor);
+        
+        // Dynamic height threshold that gets lower as distance increases
+        // Base threshold is 0.7, but can go as low as 0.4 for the most distant particles
+        float heightThreshold = mix(0.7, 0.3, vDistanceFactor);
+        
+        // Calculate fade factor (0 = no fade, 1 = full fade to black)
+        // Only apply when vWaveHeight > heightThreshold
+        float fadeFactor = 0.0;
+        if (vWaveHeight > heightThreshold) {
+            // Remap from threshold-1.0 range to 0.0-1.0 range
+            fadeFactor = (vWaveHeight - heightThreshold) / (1.0 - heightThreshold);
+            
+            // Make the fade more aggressive for distant particles
+            // Higher distance factor = steeper power curve
+            float fadePower = mix(1.0, 3.5, vDistanceFactor);
+            fadeFactor = pow(fadeFactor, 1.0 / fadePower); // Inverted power for more aggressive fade
+            
+            // Apply a smooth curve for more natural transition
+            fadeFactor = smoothstep(0.0, 1.0, fadeFactor);
+        }
+        
+        // Add a base distance darkness effect regardless of height
+        float baseDistanceDarkness = vDistanceFactor * vDistanceFactor * uDistanceOpacityFactor;
+        
+        // Boost the fade factor based on distance for more dramatic effect at distance
+        fadeFactor = mix(fadeFactor, 1.0, vDistanceFactor * vWaveHeight * uDistantHeightOpacityBoost);
+        
+        // Combine the base distance darkness with the height-based fade
+        fadeFactor = max(fadeFactor, baseDistanceDarkness);
+        
+        // Apply height darkness factor to adjust the strength of height-based fading
+        fadeFactor = min(1.0, fadeFactor * uHeightOpacityFactor);
+        
+        // Gradually reduce darkening as the shape assembles
+        // The timeline fades it out between 40% and 70% progress
+        fadeFactor *= uDarkening;
+        
+        // Fade color into the fog color based on combined height and distance factors
+        finalColor = mix(finalColor, uFadeColor, fadeFactor);
+        
+        // Calculate color brightness (higher for white, lower for dark colors)
+        float brightness = (finalColor.r + finalColor.g + finalColor.b) / 3.0;
+        
+        // Control opacity based on blending mode and color brightness
+        // Brighter colors (like white) get higher opacity
+        // Lower opacity for additive blending (starting state)
+        // Higher opacity for normal blending (end state)
+        float baseOpacity = mix(0.6, 1.0, blendFactor);
+        float brightnessBoost = brightness * 0.3; // Additional opacity boost for bright colors
+        float alpha = (baseOpacity + brightnessBoost) * shape.a;
+        
+        // Ensure alpha doesn't exceed 1.0
+        alpha = min(alpha, 1.0);
+        
+        // Fade out particles that are near the height threshold with distance-aware fading
+        if (vWaveHeight > heightThreshold) {
+            // Apply additional opacity reduction based on combined height and distance
+            // Make distant high particles fade out more dramatically
+            float opacityReduction = fadeFactor * (0.8 + vDistanceFactor * 0.4);
+            alpha *= (1.0 - opacityReduction);
+        } else {
+            // Add some opacity reduction even for particles below height threshold if they're distant
+            float distanceOpacityReduction = baseDistanceDarkness * 0.6;
+            alpha *= (1.0 - distanceOpacityReduction);
+        }
+        
+        // Apply the fade-out effect - simplified to use 1.0 - fadeOutProgress for a clean fade-out
+        // This ensures all particles fade out uniformly, with brighter colors visible longer
+        float fadeOutFactor = 1.0 - vFadeOutProgress; // Invert so 0 = no fade, 1 = full fade
+        alpha *= max(0.0, 1.0 - (fadeOutFactor * (1.0 + brightness))); // Brighter colors fade last
+        
+        // Reduced motion crossfade: fade out, swap shapes at the middle, fade back in
+        alpha *= mix(1.0, abs(1.0 - 2.0 * uProgress), uCrossfade);
+        
+        // Output final color with dynamic components
+        gl_FragColor = vec4(finalColor, alpha);
+    }
+`;
+
+/**
+ * Curl of a simplex noise vector field
+ * Divergence free, so particles following it swirl without bunching up
+ */
+const curlNoise = `
+    vec3 noiseField(vec3 p) {
+        return vec3(
+            simplexNoise3d(p),
+            simplexNoise3d(p + vec3(31.416, -47.853, 12.793)),
+            simplexNoise3d(p + vec3(-233.145, -113.408, -185.31))
+        );
+    }
+
+    vec3 curlNoise(vec3 p) {
+        const float e = 0.1;
+        vec3 dx = vec3(e, 0.0, 0.0);
+        vec3 dy = vec3(0.0, e, 0.0);
+        vec3 dz = vec3(0.0, 0.0, e);
+
+        vec3 px0 = noiseField(p - dx);
+        vec3 px1 = noiseField(p + dx);
+        vec3 py0 = noiseField(p - dy);
+        vec3 py1 = noiseField(p + dy);
+        vec3 pz0 = noiseField(p - dz);
+        vec3 pz1 = noiseField(p + dz);
+
+        float x = (py1.z - py0.z) - (pz1.y - pz0.y);
+        float y = (pz1.x - pz0.x) - (px1.z - px0.z);
+        float z = (px1.y - px0.y) - (py1.x - py0.x);
+
+        return vec3(x, y, z) / (2.0 * e);
+    }
+`;
+
+/**
+ * Simulation shaders (GPUComputationRenderer)
+ * -------
+ * Every particle is simulated at its absolute position: a spring pulls it towards
+ * its anchor, curl-noise flow pushes it around and damping settles it
+ * The anchor is the particle's origin (the waving grid or the previous stage) until
+ * the progress passes its staggered delay, then its target, so the particles set
+ * off one after another and find their own way into the shape
+ * Textures: texturePosition and textureVelocity (xyz), uOriginTexture and
+ * uTargetTexture (positions the anchors are taken from)
+ */
+const simulationAnchor = `
+    uniform sampler2D uOriginTexture; // Grid positions, or the previous stage's
+    uniform sampler2D uTargetTexture;
+    uniform float uReset; // 1.0 places every particle on its anchor, at rest
+    uniform float uProgress;
+    uniform float uFromWave;
+    uniform float uStagger;
+    uniform float uAssemblyDuration;
+    uniform float uWaveStrength;
+    uniform float uTime;
+    uniform float uWaveOffsetX;
+    uniform float uWaveOffsetY;
+    uniform float uWaveOffsetZ;
+    uniform float uWaveRotationX;
+    uniform float uWaveRotationY;
+    uniform float uWaveRotationZ;
+
+    ${simplexNoise3d}
+    ${waveGrid}
+
+    vec3 anchorPosition(vec2 uv) {
+        vec3 origin = texture2D(uOriginTexture, uv).xyz;
+        vec3 target = texture2D(uTargetTexture, uv).xyz;
+
+        // Same staggered delay as the particle vertex shader
+        float noise = smoothstep(-1.0, 1.0, mix(simplexNoise3d(origin * 0.2), simplexNoise3d(target * 0.2), uProgress));
+        float delay = (1.0 - uAssemblyDuration) * noise * uStagger;
+        if (uProgress > delay) return target;
+
+        // The grid waves, and is moved and turned like in the vertex shader
+        vec3 grid = origin + waveDisplacement(origin, uTime) * uWaveStrength;
+        grid += vec3(uWaveOffsetX, uWaveOffsetY, uWaveOffsetZ);
+        grid = rotateZ(uWaveRotationZ) * rotateY(uWaveRotationY) * rotateX(uWaveRotationX) * grid;
+        return mix(origin, grid, uFromWave);
+    }
+`;
+
+export const simulationVelocityShader = `
+    uniform float uDelta; // Seconds since the last step
+    uniform float uTurbulence; // Strength of the flow (timeline)
+    uniform float uStiffness; // Spring constant pulling particles towards their anchor
+    uniform float uDamping; // Velocity kept per 60th of a second
+    uniform float uCurlScale; // Spatial frequency of the flow
+    uniform float uCurlStrength; // Acceleration of the flow at full turbulence
+
+    ${simulationAnchor}
+    ${curlNoise}
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 position = texture2D(texturePosition, uv).xyz;
+        vec3 velocity = texture2D(textureVelocity, uv).xyz;
+
+        // Flow field around the particle, drifting over time
+        vec3 flow = curlNoise(position * uCurlScale + vec3(0.0, 0.0, uTime * 0.1));
+
+        vec3 acceleration = flow * uCurlStrength * uTurbulence + (anchorPosition(uv) - position) * uStiffness;
+        velocity += acceleration * uDelta;
+        velocity *= pow(uDamping, uDelta * 60.0);
+
+        gl_FragColor = vec4(velocity * (1.0 - uReset), 1.0);
+    }
+`;
+
+export const simulationPositionShader = `
+    uniform float uDelta; // Seconds since the last step
+
+    ${simulationAnchor}
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 position = texture2D(texturePosition, uv).xyz;
+        vec3 velocity = texture2D(textureVelocity, uv).xyz;
+
+        gl_FragColor = vec4(mix(position + velocity * uDelta, anchorPosition(uv), uReset), 1.0);
+    }
+`;
+
+/**
+ * Post-processing shaders
+ * -------
+ * The canvas is transparent and composited by the page with premultiplied alpha,
+ * so every pass keeps colors premultiplied: transparent pixels are (0, 0, 0, 0) and
+ * filters average color and alpha together. Effects never paint over the page where
+ * no particle is drawn, except for the light bloom spreads around them
+ */
+export const postVertexShader = `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+// Bright parts of the scene, with a soft knee so the bloom doesn't pop in
+export const bloomBrightShader = `
+    uniform sampler2D tInput;
+    uniform float uThreshold;
+    varying vec2 vUv;
+
+    void main() {
+        vec4 texel = texture2D(tInput, vUv);
+        float brightness = max(texel.r, max(texel.g, texel.b));
+        gl_FragColor = texel * max(0.0, brightness - uThreshold) / max(brightness, 0.0001);
+    }
+`;
+
+// Separable 9-tap gaussian blur (linear sampling), uDirection is the offset between taps in texture coordinates
+export const blurShader = `
+    uniform sampler2D tInput;
+    uniform vec2 uDirection;
+    varying vec2 vUv;
+
+    void main() {
+        vec4 sum = texture2D(tInput, vUv) * 0.2270270270;
+        sum += texture2D(tInput, vUv + uDirection * 1.3846153846) * 0.3162162162;
+        sum += texture2D(tInput, vUv - uDirection * 1.3846153846) * 0.3162162162;
+        sum += texture2D(tInput, vUv + uDirection * 3.2307692308) * 0.0702702703;
+        sum += texture2D(tInput, vUv - uDirection * 3.2307692308) * 0.0702702703;
+        gl_FragColor = sum;
+    }
+`;
+
+/**
+ * Depth of field gathers samples on a disc around every pixel
+ * A sample only spreads over the pixels its own circle of confusion reaches, so sharp
+ * particles don't leak into blurred ones. Empty pixels (nothing wrote depth) always count,
+ * which thins out blurred particles over the transparent background like a real bokeh
+ */
+export const depthOfFieldShader = `
+    uniform sampler2D tInput;
+    uniform sampler2D tDepth;
+    uniform vec2 uTexelSize;
+    uniform float uNear;
+    uniform float uFar;
+    uniform float uFocusDistance; // Distance from the camera that stays sharp
+    uniform float uAperture; // Blur per unit of distance from the focus
+    uniform float uMaxBlur; // Largest blur radius in pixels (already scaled by the timeline)
+    varying vec2 vUv;
+
+    const int DOF_SAMPLES = 32;
+
+    // Distance from the camera of a perspective depth buffer value
+    float viewDistance(float depth) {
+        float z = depth * 2.0 - 1.0;
+        return 2.0 * uNear * uFar / (uFar + uNear - z * (uFar - uNear));
+    }
+
+    // Blur radius in pixels, -1.0 for empty pixels
+    float circleOfConfusion(vec2 uv) {
+        float depth = texture2D(tDepth, uv).x;
+        if (depth >= 1.0) return -1.0;
+        return clamp(abs(viewDistance(depth) - uFocusDistance) * uAperture, 0.0, 1.0) * uMaxBlur;
+    }
+
+    void main() {
+        vec4 sum = texture2D(tInput, vUv);
+        float weight = 1.0;
+
+        for (int i = 0; i < DOF_SAMPLES; i++) {
+            // Golden angle spiral covering the disc evenly
+            float radius = sqrt((float(i) + 0.5) / float(DOF_SAMPLES)) * uMaxBlur;
+            float angle = float(i) * 2.39996323;
+            vec2 uv = vUv + vec2(cos(angle), sin(angle)) * radius * uTexelSize;
+
+            float blur = circleOfConfusion(uv);
+            float sampleWeight = blur < 0.0 ? 1.0 : smoothstep(radius - 1.0, radius, blur);
+            sum += texture2D(tInput, uv) * sampleWeight;
+            weight += sampleWeight;
+        }
+
+        gl_FragColor = sum / weight;
+    }
+`;
+
+/**
+ * Final pass onto the canvas: chromatic aberration, bloom, vignette and grain
+ */
+export const compositeShader = `
+    uniform sampler2D tInput;
+    uniform sampler2D tBloom;
+    uniform float uBloom; // Bloom strength (0 skips it)
+    uniform float uChromaticAberration; // Channel offset at the corners in texture coordinates
+    uniform float uVignette;
+    uniform float uVignetteSoftness;
+    uniform float uGrain;
+    uniform float uTime;
+    varying vec2 vUv;
+
+    void main() {
+        // Channels drift apart towards the edges, alpha covers all three of them
+        vec2 offset = (vUv - 0.5) * uChromaticAberration;
+        vec4 red = texture2D(tInput, vUv + offset);
+        vec4 green = texture2D(tInput, vUv);
+        vec4 blue = texture2D(tInput, vUv - offset);
+        vec4 color = vec4(red.r, green.g, blue.b, max(green.a, max(red.a, blue.a)));
+
+        // Bloom adds light, and makes the canvas as opaque as the glow is bright
+        vec3 bloom = texture2D(tBloom, vUv).rgb * uBloom;
+        color.rgb += bloom;
+        color.a = min(1.0, max(color.a, max(bloom.r, max(bloom.g, bloom.b))));
+
+        // Vignette darkens the particles towards the corners, the page behind stays as it is
+        float edge = length(vUv - 0.5) * 1.41421356;
+        color.rgb *= 1.0 - uVignette * smoothstep(1.0 - uVignetteSoftness, 1.0, edge);
+
+        // Grain only where something is drawn
+        float noise = fract(sin(dot(gl_FragCoord.xy + uTime * 61.0, vec2(12.9898, 78.233))) * 43758.5453) - 0.5;
+        color.rgb = max(vec3(0.0), color.rgb + noise * uGrain * color.a);
+
+        gl_FragColor = color;
+    }
+`;
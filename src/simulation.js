@@ -0,0 +1,157 @@
+import * as THREE from "three";
+import { GPUComputationRenderer } from "three/examples/jsm/misc/GPUComputationRenderer.js";
+import { simulationPositionShader, simulationVelocityShader } from "./shaders.js";
+
+/**
+ * GPU particle simulation
+ * -------
+ * Ping-pongs position and velocity textures (one texel per particle, the texel of
+ * particle i is i % size, i / size) with GPUComputationRenderer. Springs pull the
+ * particles from their origin towards their target while curl-noise flow swirls them,
+ * the particle vertex shader draws them where the simulation left them
+ */
+
+/**
+ * Default simulation settings
+ * - stiffness: spring constant pulling particles towards their origin or target
+ * - damping: share of the velocity kept every 60th of a second
+ * - curlStrength: acceleration of the flow at full turbulence
+ * - curlScale: spatial frequency of the flow (higher = smaller swirls)
+ */
+export const defaultSimulationOptions = {
+  stiffness: 12,
+  damping: 0.94,
+  curlStrength: 3,
+  curlScale: 1.5
+};
+
+export class ParticleSimulation {
+  constructor(renderer, count, options = {}) {
+    const settings = { ...defaultSimulationOptions, ...options };
+
+    this.count = count;
+    this.size = Math.ceil(Math.sqrt(count));
+
+    // Rendering into float textures needs an extension, half floats are a fallback
+    const { extensions } = renderer;
+    let dataType;
+    if (extensions.has("EXT_color_buffer_float")) {
+      dataType = THREE.FloatType;
+    } else if (extensions.has("EXT_color_buffer_half_float")) {
+      dataType = THREE.HalfFloatType;
+    } else {
+      throw new Error("ParticleSimulation: float render targets are not supported");
+    }
+
+    this.gpuCompute = new GPUComputationRenderer(this.size, this.size, renderer);
+    this.gpuCompute.setDataType(dataType);
+
+    // The first step places the particles on their anchors (see reset())
+    this.positionVariable = this.gpuCompute.addVariable("texturePosition", simulationPositionShader, this.gpuCompute.createTexture());
+    this.velocityVariable = this.gpuCompute.addVariable("textureVelocity", simulationVelocityShader, this.gpuCompute.createTexture());
+
+    const dependencies = [this.positionVariable, this.velocityVariable];
+    this.gpuCompute.setVariableDependencies(this.positionVariable, dependencies);
+    this.gpuCompute.setVariableDependencies(this.velocityVariable, dependencies);
+
+    this.originTexture = this.gpuCompute.createTexture();
+    this.targetTexture = this.gpuCompute.createTexture();
+
+    // Both shaders find the anchors, they share the uniform objects
+    this.uniforms = {
+      uDelta: { value: 0 },
+      uReset: { value: 1 },
+      uOriginTexture: { value: this.originTexture },
+      uTargetTexture: { value: this.targetTexture }
+    };
+    Object.assign(this.positionVariable.material.uniforms, this.uniforms);
+    Object.assign(this.velocityVariable.material.uniforms, this.uniforms, {
+      uTurbulence: { value: 0 },
+      uStiffness: { value: settings.stiffness },
+      uDamping: { value: settings.damping },
+      uCurlScale: { value: settings.curlScale },
+      uCurlStrength: { value: settings.curlStrength }
+    });
+    this.resetPending = true;
+
+    const error = this.gpuCompute.init();
+    if (error) {
+      this.gpuCompute.dispose();
+      throw new Error(`ParticleSimulation: ${error}`);
+    }
+  }
+
+  /**
+   * Share the transition uniforms of the particle material (progress, stagger,
+   * wave motion and placement), so the anchors follow the same choreography
+   */
+  shareUniforms(uniforms) {
+    const names = [
+      "uProgress", "uFromWave", "uStagger", "uAssemblyDuration", "uWaveStrength", "uTime",
+      "uWaveOffsetX", "uWaveOffsetY", "uWaveOffsetZ", "uWaveRotationX", "uWaveRotationY", "uWaveRotationZ"
+    ];
+    for (const variable of [this.positionVariable, this.velocityVariable]) {
+      names.forEach(name => { variable.material.uniforms[name] = uniforms[name]; });
+    }
+  }
+
+  /**
+   * Origin positions (xyz per particle): the raw grid while morphing out of the
+   * wave, the previous stage between two shapes
+   */
+  setOrigin(positions) {
+    this.writePositions(this.originTexture, positions);
+  }
+
+  /**
+   * Target positions (xyz per particle) the particles are released towards
+   */
+  setTarget(positions) {
+    this.writePositions(this.targetTexture, positions);
+  }
+
+  writePositions(texture, positions) {
+    const data = texture.image.data;
+    for (let i = 0; i < this.count; i++) {
+      data[i * 4] = positions[i * 3];
+      data[i * 4 + 1] = positions[i * 3 + 1];
+      data[i * 4 + 2] = positions[i * 3 + 2];
+    }
+    texture.needsUpdate = true;
+  }
+
+  /**
+   * Place every particle on its anchor, at rest, on the next step
+   * Used when the simulation resumes after resting, as the particles were shown elsewhere
+   */
+  reset() {
+    this.resetPending = true;
+  }
+
+  /**
+   * Advance the simulation
+   * - delta: seconds since the last step
+   * - turbulence: 0-1 strength of the flow
+   */
+  update(delta, turbulence) {
+    this.uniforms.uDelta.value = delta;
+    this.uniforms.uReset.value = this.resetPending ? 1 : 0;
+    this.velocityVariable.material.uniforms.uTurbulence.value = turbulence;
+
+    this.gpuCompute.compute();
+    this.resetPending = false;
+  }
+
+  /**
+   * Texture holding the current positions
+   */
+  get texture() {
+    return this.gpuCompute.getCurrentRenderTarget(this.positionVariable).texture;
+  }
+
+  dispose() {
+    this.gpuCompute.dispose();
+    this.originTexture.dispose();
+    this.targetTexture.dispose();
+  }
+}
@@ -0,0 +1,143 @@
+import * as THREE from "three";
+import { spriteStyles } from "./shaders.js";
+
+/**
+ * Particle sprites
+ * -------
+ * Shape every particle is drawn with: one of the styles built into the fragment
+ * shader, or a texture that may hold an atlas of several sprites. The wave grid and
+ * the assembled shapes can use different styles, the spriteBlend timeline track
+ * fades from one to the other
+ */
+
+/**
+ * Default sprite settings
+ * - style: style of the wave grid particles, one of spriteStyles ("circle", "disc", "glow",
+ *   "ring", "square", "star" or "texture")
+ * - assembledStyle: style once the shapes assemble (null keeps style)
+ * - texture: image URL, image or canvas element, or THREE.Texture drawn by the "texture" style
+ *   (tinted with the particle color)
+ * - columns, rows: layout of the texture when it is an atlas of several sprites
+ * - index: atlas cell of each particle, a number, "random", an array or (i, count) => index
+ * - rotation: rotation of each particle in radians, a number, "random", an array or (i, count) => angle
+ * - glowFalloff: exponent of the glow halo (higher = tighter core)
+ * - ringWidth: width of the ring as a share of the sprite radius
+ * - starPoints, starInset: points of the star and the radius of its inner corners (0-1)
+ */
+export const defaultSpriteOptions = {
+  style: "circle",
+  assembledStyle: null,
+  texture: null,
+  columns: 1,
+  rows: 1,
+  index: 0,
+  rotation: 0,
+  glowFalloff: 2,
+  ringWidth: 0.3,
+  starPoints: 5,
+  starInset: 0.45
+};
+
+function resolveStyle(style) {
+  const id = spriteStyles.indexOf(style);
+  if (id === -1) {
+    throw new TypeError(`Unknown sprite style "${style}", expected one of ${spriteStyles.join(", ")}`);
+  }
+  return id;
+}
+
+/**
+ * Value of a per-particle setting for particle i
+ * random(i) is used for "random" values
+ */
+function resolveParticleValue(value, i, count, random) {
+  if (value === "random") return random(i);
+  if (typeof value === "function") return value(i, count);
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) return value[i % value.length];
+  return value;
+}
+
+/**
+ * Options are merged with defaultSpriteOptions, a string selects a style
+ */
+export class ParticleSprites {
+  constructor(options = {}) {
+    const settings = { ...defaultSpriteOptions, ...(typeof options === "string" ? { style: options } : options) };
+
+    this.settings = settings;
+    this.style = resolveStyle(settings.style);
+    this.assembledStyle = resolveStyle(settings.assembledStyle ?? settings.style);
+    this.cells = Math.max(1, Math.floor(settings.columns)) * Math.max(1, Math.floor(settings.rows));
+    this.onChange = null; // Called when the texture has loaded, so an idle render loop can wake up
+
+    const usesTexture = [settings.style, settings.assembledStyle].includes("texture");
+    if (usesTexture && !settings.texture) {
+      throw new TypeError('The "texture" sprite style needs a texture');
+    }
+
+    // Textures created here are disposed with the sprites, given ones belong to the caller
+    this.texture = null;
+    this.ownsTexture = false;
+    if (usesTexture) this.loadTexture(settings.texture);
+  }
+
+  loadTexture(source) {
+    if (source instanceof THREE.Texture) {
+      this.texture = source;
+      return;
+    }
+
+    this.ownsTexture = true;
+    if (typeof source === "string") {
+      this.texture = new THREE.TextureLoader().load(
+        source,
+        () => this.changed(),
+        undefined,
+        error => console.warn(`ParticleSprites: failed to load the sprite texture ${source}`, error)
+      );
+    } else {
+      this.texture = new THREE.Texture(source);
+      this.texture.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Fill the per-particle atlas cells and rotations
+   * random: random number generator in [0, 1) for "random" values
+   */
+  fillAttributes(indices, rotations, random = Math.random) {
+    const { index, rotation } = this.settings;
+    const { cells } = this;
+    const count = indices.length;
+
+    for (let i = 0; i < count; i++) {
+      const cell = resolveParticleValue(index, i, count, () => Math.floor(random() * cells));
+      indices[i] = Math.min(cells - 1, Math.max(0, Math.round(cell)));
+      rotations[i] = resolveParticleValue(rotation, i, count, () => random() * Math.PI * 2);
+    }
+  }
+
+  /**
+   * Write the sprite settings into the shader uniforms
+   */
+  writeUniforms(uniforms) {
+    const { columns, rows, glowFalloff, ringWidth, starPoints, starInset } = this.settings;
+    uniforms.uSpriteStyle.value = this.style;
+    uniforms.uAssembledSpriteStyle.value = this.assembledStyle;
+    uniforms.uSpriteTexture.value = this.texture;
+    uniforms.uSpriteAtlas.value.set(Math.max(1, Math.floor(columns)), Math.max(1, Math.floor(rows)));
+    uniforms.uGlowFalloff.value = glowFalloff;
+    uniforms.uRingWidth.value = ringWidth;
+    uniforms.uStarPoints.value = Math.max(2, starPoints);
+    uniforms.uStarInset.value = starInset;
+  }
+
+  changed() {
+    if (this.onChange) this.onChange();
+  }
+
+  dispose() {
+    if (this.ownsTexture && this.texture) this.texture.dispose();
+    this.texture = null;
+  }
+}
@@ -0,0 +1,319 @@
+import * as THREE from "three";
+import { TargetRegion, collectPoints, collectVertices, fitPositions, sampleSurface } from "./mesh-sampler.js";
+import { createSvgTarget, createTextTarget } from "./vector-targets.js";
+import { createImageTarget } from "./image-targets.js";
+
+/**
+ * Target shapes
+ * -------
+ * Resolves stage shape sources into targets and computes the per-particle
+ * sizes and colors each stage assembles into
+ *
+ * A target is an object with:
+ * - positions: Float32Array of xyz positions
+ * - regions: optional Uint8Array of TargetRegion values (otherwise classified by Z)
+ * - colors: optional Float32Array of rgb colors replacing the gradient
+ */
+
+/**
+ * Procedural shapes that can be referenced by name in a stage
+ * Each generator receives the particle count and returns a Float32Array of positions
+ */
+export const shapeGenerators = {
+  // Evenly distributed points on a sphere shell (Fibonacci lattice)
+  sphere(count, { radius = 0.45 } = {}) {
+    const positions = new Float32Array(count * 3);
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+
+    for (let i = 0; i < count; i++) {
+      const y = 1 - (i / Math.max(1, count - 1)) * 2;
+      const ringRadius = Math.sqrt(1 - y * y);
+      const theta = goldenAngle * i;
+
+      positions[i * 3] = Math.cos(theta) * ringRadius * radius;
+      positions[i * 3 + 1] = y * radius;
+      positions[i * 3 + 2] = Math.sin(theta) * ringRadius * radius;
+    }
+
+    return positions;
+  }
+};
+
+/**
+ * Generators for shapes described by an object with a `type`, e.g.
+ * { type: "text", text: "HELLO", font: "fonts/helvetiker_bold.typeface.json" }
+ * Each generator receives the shape options and the sampling context
+ * ({ count, weighting, curvatureStrength, random }) and resolves to a target
+ */
+export const targetGenerators = {
+  text: createTextTarget,
+  svg: createSvgTarget,
+  image: createImageTarget
+};
+
+/**
+ * Spread `count` picks evenly over a point cloud, keeping their colors
+ * Clouds with fewer points are used whole
+ */
+function thinPointCloud({ positions, colors }, count) {
+  const total = positions.length / 3;
+  if (total <= count) return { positions, colors };
+
+  const picked = { positions: new Float32Array(count * 3), colors: colors ? new Float32Array(count * 3) : null };
+  for (let i = 0; i < count; i++) {
+    const source = Math.floor(i * total / count) * 3;
+    picked.positions.set(positions.subarray(source, source + 3), i * 3);
+    if (colors) picked.colors.set(colors.subarray(source, source + 3), i * 3);
+  }
+  return picked;
+}
+
+/**
+ * Resolve a stage shape into a target
+ *
+ * Supported sources:
+ * - a procedural shape name (see shapeGenerators)
+ * - a generator description { type, ...options } (see targetGenerators)
+ * - a model URL or ArrayBuffer (GLB/GLTF, OBJ, PLY or XYZ), loaded with loadModel(source) => Promise<THREE.Object3D>
+ * - a THREE.Object3D whose meshes are sampled, or whose points are used when it has no meshes
+ *   (point clouds keep their vertex colors)
+ * - a Float32Array of positions
+ * - a function (count) => Float32Array or target
+ *
+ * Surface samples are drawn with random(), a random number generator in [0, 1)
+ */
+export async function resolveTarget(shape, {
+  count,
+  loadModel,
+  sampling = "surface",
+  weighting = "area",
+  curvatureStrength = 4,
+  fitSize = null,
+  random = Math.random
+}) {
+  let target;
+
+  if (typeof shape === "string" && shapeGenerators[shape]) {
+    target = { positions: shapeGenerators[shape](count) };
+  } else if (typeof shape === "function") {
+    const result = await shape(count);
+    target = result instanceof Float32Array ? { positions: result } : result;
+  } else if (shape instanceof Float32Array) {
+    target = { positions: shape.slice() };
+  } else if (shape && typeof shape.type === "string" && !shape.isObject3D) {
+    const generator = targetGenerators[shape.type];
+    if (!generator) {
+      throw new TypeError(`Unknown target shape type: ${shape.type}`);
+    }
+    target = await generator(shape, { count, weighting, curvatureStrength, random });
+  } else {
+    const root = typeof shape === "string" || shape instanceof ArrayBuffer ? await loadModel(shape) : shape;
+
+    if (!root || !root.isObject3D) {
+      throw new TypeError(`Unsupported target shape: ${shape}`);
+    }
+
+    // Point clouds (scans without faces) have no surface to sample, their points are the target
+    const cloud = collectPoints(root);
+    if (cloud.positions.length > 0 && root.getObjectsByProperty("isMesh", true).length === 0) {
+      target = thinPointCloud(cloud, count);
+    } else {
+      target = {
+        positions: sampling === "vertices"
+          ? collectVertices(root)
+          : sampleSurface(root, count, { weighting, curvatureStrength, random })
+      };
+    }
+  }
+
+  if (fitSize) fitPositions(target.positions, fitSize);
+
+  return target;
+}
+
+/**
+ * Compute the attributes particles assemble into for one stage
+ * - Rotates the shape slightly to match the reference images
+ * - Classifies points as front, back or side (given by the target or by pre-rotation Z)
+ * - Sizes and colors them with a gradient from the center to the edges,
+ *   unless the target brings its own colors
+ *
+ * Options:
+ * - colors: { front, back, side } gradient colors ({ dark, light } sets back/side and front)
+ * - size: multiplier applied to every particle size
+ * - rotation: { x, y } presentation rotation in radians
+ * - random: random number generator in [0, 1) for the size jitter
+ */
+export function createTargetAttributes(target, count, {
+  colors: palette = {},
+  size = 1,
+  rotation = {},
+  random = Math.random
+} = {}) {
+  const { positions: sourcePositions, regions: sourceRegions, colors: sourceColors } = target;
+  const sourceCount = sourcePositions.length / 3;
+  const positions = new Float32Array(count * 3);
+  const sizes = new Float32Array(count);
+  const colors = new Float32Array(count * 3);
+  const regions = new Uint8Array(count);
+
+  // Z range used to normalize the side gradient
+  // Explicitly classified targets use their own depth, the X model uses the +-0.1 thresholds
+  let minZ = -0.1;
+  let maxZ = 0.1;
+  if (sourceRegions) {
+    minZ = Infinity;
+    maxZ = -Infinity;
+    for (let i = 2; i < sourcePositions.length; i += 3) {
+      minZ = Math.min(minZ, sourcePositions[i]);
+      maxZ = Math.max(maxZ, sourcePositions[i]);
+    }
+  }
+  const depthRange = maxZ - minZ || 1;
+
+  // Define color palette once for the whole shape
+  const darkBlue = new THREE.Color(palette.back ?? palette.dark ?? "#0b5baa");
+  const lightBlue = new THREE.Color(palette.front ?? palette.light ?? "#98d8ff");
+  const sideColor = new THREE.Color(palette.side ?? palette.dark ?? darkBlue);
+
+  // Rotate around Y axis by about 27 degrees
+  const angleY = rotation.y ?? Math.PI * 0.15; // Increased Y rotation
+  const cosY = Math.cos(angleY);
+  const sinY = Math.sin(angleY);
+
+  // Rotate around X axis by about 5 degrees
+  const angleX = rotation.x ?? Math.PI * 0.03; // Decreased X rotation
+  const cosX = Math.cos(angleX);
+  const sinX = Math.sin(angleX);
+
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+
+    // Get target positions from the shape, wrapping around when it has fewer points
+    const source3 = (i % sourceCount) * 3;
+    let targetX = sourcePositions[source3];
+    let targetY = sourcePositions[source3 + 1];
+    let targetZ = sourcePositions[source3 + 2];
+
+    // DETERMINE FRONT/BACK/SIDE BASED ON PRE-ROTATION POSITIONS
+    // Using more precise thresholds to identify front, side and back regions
+    const region = sourceRegions
+      ? sourceRegions[i % sourceCount]
+      : targetZ > 0.1 ? TargetRegion.FRONT : targetZ < -0.1 ? TargetRegion.BACK : TargetRegion.SIDE;
+    const isFront = region === TargetRegion.FRONT; // Clear front-facing particles
+    const isBack = region === TargetRegion.BACK; // Clear back-facing particles
+    regions[i] = region;
+
+    // Apply a slight rotation to the model to match the reference images
+    // Apply Y-axis rotation
+    const rotatedX = targetX * cosY - targetZ * sinY;
+    const rotatedZ = targetX * sinY + targetZ * cosY;
+
+    // Apply X-axis rotation to the result
+    const finalY = targetY * cosX + rotatedZ * sinX;
+    const finalZ = -targetY * sinX + rotatedZ * cosX;
+
+    // Store rotated target positions
+    positions[i3] = rotatedX;
+    positions[i3 + 1] = finalY;
+    positions[i3 + 2] = finalZ;
+
+    // POSITION ANALYSIS - Determine regions of the X shape
+    // Calculate distance from center in XY plane (for corner detection)
+    const distFromCenterXY = Math.sqrt(rotatedX * rotatedX + finalY * finalY);
+
+    // Normalize the distance for gradient calculation (0 = center, 1 = far edge)
+    // Using a smaller divisor to create a more compressed gradient (faster transition)
+    const normalizedDist = Math.min(distFromCenterXY / 0.7, 1.0);
+
+    // SIZE CALCULATION BASED ON POSITION
+    // More dramatic size difference between center and edges
+    const particleSize = isFront ?
+      (0.4 + (normalizedDist * 0.5) * 1.6 + (random() * 0.1)) : // Front: Gradient from 0.8 to 1.3
+      (0.4 + (random() * 0.1)); // Back: Smaller than before
+
+    sizes[i] = particleSize * size;
+
+    // COLOR CALCULATION - GRADIENT FOR FRONT FACE
+    // Apply color based on position
+    let color;
+
+    if (isBack) {
+      // Back side: Always dark blue
+      color = darkBlue.clone();
+    } else if (isFront) {
+      // Front side: Gradient from dark center to light corners
+      // Apply a contrast-enhancing function for more dramatic transition
+
+      // Create an S-curve with steeper middle section
+      // This creates a darker center with a more sudden transition to light colors
+      let enhancedGradient;
+
+      if (normalizedDist < 0.3) {
+        // Dark center area (inner 30%)
+        enhancedGradient = normalizedDist * 0.3; // Even darker center
+      } else if (normalizedDist < 0.5) {
+        // Transition area (30-50% from center)
+        // Rapid transition from dark to light in this range
+        const transitionPos = (normalizedDist - 0.3) / 0.2; // 0-1 in this range
+        enhancedGradient = 0.09 + transitionPos * 0.71; // 0.09-0.8 steeper curve
+      } else {
+        // Outer area (beyond 50% from center)
+        // Mostly light blue with subtle gradient to pure light at edges
+        enhancedGradient = 0.8 + (normalizedDist - 0.5) * 0.4; // 0.8-1.0 gentle slope
+      }
+
+      color = new THREE.Color().lerpColors(
+        darkBlue,  // Center color
+        lightBlue, // Edge color
+        enhancedGradient  // S-curve transition for more dramatic contrast
+      );
+    } else {
+      // Side surfaces: Gradient based on Z position
+      // Normalize Z position for color gradient (0 = back, 1 = front)
+      const zPos = targetZ; // Original Z value from the model
+
+      // Create normalized value from the depth range (-0.1 to 0.1 for the X) to 0 to 1 range
+      const normalizedZPos = Math.min(1, Math.max(0, (zPos - minZ) / depthRange));
+
+      // Calculate side gradient - transitions from light to dark from front to back
+      // Also include the XY distance to match with the front face gradient
+      let sideGradient;
+
+      if (normalizedDist > 0.5) {
+        // For edges of the X, use gradient based on both Z and XY distance
+        // This ensures side color near light front regions is also light
+        const xyFactor = (normalizedDist - 0.5) * 2; // 0-1 for outer half
+
+        // Dramatically increase the effect - make front-facing sides much lighter
+        // and back-facing sides much darker
+        sideGradient = Math.pow(normalizedZPos, 0.5) * (0.6 + xyFactor * 0.4); // 0.6-1.0 range for edges
+      } else {
+        // For parts closer to center, still increase the effect but keep darker overall
+        // Use power function to create stronger contrast
+        sideGradient = Math.pow(normalizedZPos, 0.7) * 0.5; // 0-0.5 range (still darker for center)
+      }
+
+      // Boost the overall side gradient to ensure front sides are clearly light
+      sideGradient = Math.max(sideGradient, normalizedZPos * 0.8);
+
+      color = new THREE.Color().lerpColors(
+        sideColor, // Dark for back-facing sides
+        lightBlue, // Light for front-facing sides
+        sideGradient // Z-based gradient for smooth transition
+      );
+    }
+
+    // Colors provided by the target replace the gradient
+    if (sourceColors) {
+      color.fromArray(sourceColors, source3);
+    }
+
+    // Store color components
+    colors[i3] = color.r;
+    colors[i3 + 1] = color.g;
+    colors[i3 + 2] = color.b;
+  }
+
+  return { positions, sizes, colors, regions };
+}
@@ -0,0 +1,87 @@
+import * as THREE from "three";
+
+/**
+ * Themes
+ * -------
+ * Every color of the effect in one place, so the palette can be switched at once
+ * - grid: { outer, middle, inner } gradient of the wave grid, from its far rows through the middle to the center
+ * - shape: { front, back, side } colors of the target shape gradient (stages can override them with colors)
+ * - background: { inner, outer } stops of the radial gradient on the background element, null leaves its CSS alone
+ * - fog: color distant and high wave particles fade into
+ * - additive: additive blending while the wave grid shows (glows on dark backgrounds, washes out on light ones)
+ */
+export const themes = {
+  dark: {
+    grid: { outer: "#00276a", middle: "#97bdff", inner: "#ffffff" },
+    shape: { front: "#98d8ff", back: "#0b5baa", side: "#0b5baa" },
+    background: { inner: "#214d8e", outer: "#010815" },
+    fog: "#000000",
+    additive: true
+  },
+  light: {
+    grid: { outer: "#e8eef8", middle: "#6d93d6", inner: "#0b2a5c" },
+    shape: { front: "#0b3d91", back: "#8fb4e8", side: "#8fb4e8" },
+    background: { inner: "#ffffff", outer: "#dde7f5" },
+    fog: "#f4f7fc",
+    additive: false
+  }
+};
+
+/**
+ * Add (or replace) a named theme, missing colors come from the dark theme
+ * Registered themes can be selected with the theme parameter like the presets
+ */
+export function registerTheme(name, theme) {
+  if (typeof name !== "string" || !name) {
+    throw new TypeError("A theme needs a name");
+  }
+
+  const base = themes.dark;
+  themes[name] = {
+    grid: { ...base.grid, ...theme.grid },
+    shape: { ...base.shape, ...theme.shape },
+    background: theme.background === null ? null : { ...base.background, ...theme.background },
+    fog: theme.fog ?? base.fog,
+    additive: theme.additive ?? base.additive
+  };
+  return themes[name];
+}
+
+/**
+ * Theme colors as THREE.Color objects, ready to be interpolated
+ */
+export function resolveTheme(name) {
+  const theme = themes[name];
+  if (!theme) {
+    throw new TypeError(`Unknown theme "${name}", expected one of ${Object.keys(themes).join(", ")}`);
+  }
+
+  const toColors = stops => Object.fromEntries(Object.entries(stops).map(([key, value]) => [key, new THREE.Color(value)]));
+  return {
+    name,
+    grid: toColors(theme.grid),
+    shape: theme.shape,
+    background: theme.background ? toColors(theme.background) : null,
+    fog: new THREE.Color(theme.fog),
+    additive: theme.additive
+  };
+}
+
+/**
+ * Shape palette of a stage: its own colors ({ front, back, side }, or the older
+ * { dark, light }) on top of the theme's shape colors
+ */
+export function getShapePalette(theme, colors = {}) {
+  return {
+    front: colors.front ?? colors.light ?? theme.shape.front,
+    back: colors.back ?? colors.dark ?? theme.shape.back,
+    side: colors.side ?? colors.dark ?? theme.shape.side
+  };
+}
+
+/**
+ * CSS radial gradient for the background element
+ */
+export function getBackgroundGradient({ inner, outer }) {
+  return `radial-gradient(circle 1200px at center 150%, #${inner.getHexString()} 0%, #${outer.getHexString()} 100%)`;
+}
@@ -0,0 +1,145 @@
+/**
+ * Choreography timeline
+ * -------
+ * Every animated property is a track of keyframes ({ at, value, ease }) sampled
+ * with a 0-1 progress value. Retiming the piece only requires editing this data
+ *
+ * Tracks are grouped by the progress that drives them:
+ * - transition: progress within the active stage transition (wave to first shape, shape to shape)
+ * - intro: progress of the transition out of the wave grid, held at 1 afterwards
+ * - fade: progress through the fade-out (0 when it starts, 1 at the end of the scroll range)
+ * - scroll: overall scroll progress
+ *
+ * Post-processing tracks (bloom, depthOfField, chromaticAberration, vignette, grain) scale
+ * the strength of each effect set in the postProcessing option
+ */
+
+/**
+ * Easing functions mapping 0-1 to 0-1
+ * A keyframe's ease shapes the interpolation from the previous keyframe to it
+ */
+export const easings = {
+  linear: t => t,
+  step: t => (t < 1 ? 0 : 1),
+  smoothstep: t => t * t * (3 - 2 * t),
+  smootherstep: t => t * t * t * (t * (t * 6 - 15) + 10),
+  easeInQuad: t => t * t,
+  easeOutQuad: t => 1 - (1 - t) * (1 - t),
+  easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+/**
+ * Default choreography, matching the original hand-tuned thresholds
+ * Angles are in degrees
+ */
+export const defaultTimeline = {
+  // Transition tracks
+  assemblyDuration: [{ at: 0, value: 0.4 }], // Share of a transition each particle takes to travel (the rest is stagger)
+  waveStrength: [{ at: 0.6, value: 1 }, { at: 0.8, value: 0, ease: "smoothstep" }], // Idle wave motion of the grid
+  colorBlend: [{ at: 0.4, value: 0 }, { at: 0.7, value: 1, ease: "smoothstep" }], // Origin colors to target colors
+  lateWave: [{ at: 0.5, value: 0 }, { at: 0.8, value: 1, ease: "smoothstep" }], // Subtle front/back sway of the assembled shape
+  darkening: [{ at: 0.4, value: 1 }, { at: 0.7, value: 0, ease: "smoothstep" }], // Height and distance darkening of the wave
+  turbulence: [{ at: 0, value: 0 }, { at: 0.5, value: 1, ease: "smoothstep" }, { at: 1, value: 0, ease: "smoothstep" }], // Curl-noise flow of the GPU simulation
+  spriteBlend: [{ at: 0.4, value: 0 }, { at: 0.7, value: 1, ease: "smoothstep" }], // Grid sprite style to assembled sprite style
+  chromaticAberration: [{ at: 0, value: 0.3 }, { at: 0.5, value: 1, ease: "smoothstep" }, { at: 1, value: 0.3, ease: "smoothstep" }], // Color fringes, strongest mid-flight
+
+  // Intro tracks
+  blend: [{ at: 0.35, value: 0 }, { at: 0.75, value: 1, ease: "smoothstep" }], // Additive (wave) to normal (shape) blending
+  rotationX: [{ at: 0.8, value: 0 }, { at: 1, value: -5, ease: "easeInCubic" }],
+  rotationY: [{ at: 0.6, value: 0 }, { at: 0.8, value: 10, ease: "smoothstep" }, { at: 1, value: 20, ease: "easeInQuad" }],
+  bloom: [{ at: 0.35, value: 1 }, { at: 0.75, value: 0.3, ease: "smoothstep" }], // Glow of the additive wave, subtle on the shape
+  depthOfField: [{ at: 0.75, value: 0 }, { at: 1, value: 1, ease: "smoothstep" }], // Focus on the front of the shape, once it writes depth
+
+  // Fade tracks
+  opacity: [{ at: 0, value: 1 }, { at: 1, value: 0, ease: "easeOutQuad" }],
+  backgroundOpacity: [{ at: 0, value: 1 }, { at: 1, value: 0 }],
+
+  // Scroll tracks
+  cameraX: [{ at: 0, value: 0.8 }],
+  cameraY: [{ at: 0, value: 0.2 }],
+  cameraZ: [{ at: 0, value: 3.5 }],
+  cameraParallaxX: [{ at: 0, value: 0.15 }], // Camera offset at the horizontal edges of the window
+  cameraParallaxY: [{ at: 0, value: 0.1 }], // Camera offset at the vertical edges of the window
+  vignette: [{ at: 0, value: 1 }],
+  grain: [{ at: 0, value: 1 }]
+};
+
+function resolveEasing(ease = "linear") {
+  if (typeof ease === "function") return ease;
+  if (!easings[ease]) {
+    throw new TypeError(`Unknown easing "${ease}"`);
+  }
+  return easings[ease];
+}
+
+/**
+ * A single animated property
+ * Before the first keyframe and after the last one the value is held
+ */
+export class Track {
+  constructor(keyframes) {
+    if (!Array.isArray(keyframes) || keyframes.length === 0) {
+      throw new TypeError("A track needs at least one keyframe");
+    }
+
+    this.keyframes = keyframes
+      .map(keyframe => {
+        if (typeof keyframe.at !== "number" || typeof keyframe.value !== "number") {
+          throw new TypeError(`Keyframes need a numeric "at" and "value", got ${JSON.stringify(keyframe)}`);
+        }
+        return { at: keyframe.at, value: keyframe.value, ease: resolveEasing(keyframe.ease) };
+      })
+      .sort((a, b) => a.at - b.at);
+  }
+
+  evaluate(progress) {
+    const { keyframes } = this;
+    const last = keyframes[keyframes.length - 1];
+
+    if (progress <= keyframes[0].at) return keyframes[0].value;
+    if (progress >= last.at) return last.value;
+
+    let index = 1;
+    while (keyframes[index].at <= progress) index++;
+
+    const from = keyframes[index - 1];
+    const to = keyframes[index];
+    const t = (progress - from.at) / (to.at - from.at);
+
+    return from.value + (to.value - from.value) * to.ease(t);
+  }
+}
+
+/**
+ * Set of named tracks
+ * Tracks missing from the given definition fall back to the default timeline
+ */
+export class Timeline {
+  constructor(definition = {}) {
+    this.tracks = {};
+    Object.entries({ ...defaultTimeline, ...definition }).forEach(([name, keyframes]) => {
+      this.setTrack(name, keyframes);
+    });
+  }
+
+  /**
+   * Replace (or add) a track
+   */
+  setTrack(name, keyframes) {
+    this.tracks[name] = new Track(keyframes);
+  }
+
+  /**
+   * Value of a track at the given progress
+   */
+  evaluate(name, progress) {
+    const track = this.tracks[name];
+    if (!track) {
+      throw new TypeError(`Unknown timeline track "${name}"`);
+    }
+    return track.evaluate(progress);
+  }
+}
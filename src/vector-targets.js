@@ -0,0 +1,231 @@
+import * as THREE from "three";
+import { FontLoader } from "three/examples/jsm/loaders/FontLoader.js";
+import { TextGeometry } from "three/examples/jsm/geometries/TextGeometry.js";
+import { SVGLoader } from "three/examples/jsm/loaders/SVGLoader.js";
+import { TargetRegion, classifyRegions, sampleSurfacePoints } from "./mesh-sampler.js";
+
+/**
+ * Text and SVG targets
+ * -------
+ * Builds (optionally extruded) meshes from a string and a font, or from SVG paths,
+ * and samples them into target positions with front/back/side regions
+ * Extrusions are centered on z = 0 like the X model, so the same gradients apply
+ */
+
+// Fonts are shared between stages that use the same URL
+const fontCache = new Map();
+
+/**
+ * Resolve a font given as a URL, typeface JSON data or a loaded Font
+ */
+function resolveFont(font) {
+  if (!font) {
+    return Promise.reject(new TypeError("Text targets require a font (typeface JSON URL, data or Font)"));
+  }
+
+  if (font.isFont) return Promise.resolve(font);
+
+  if (typeof font === "string") {
+    if (!fontCache.has(font)) {
+      fontCache.set(font, new FontLoader().loadAsync(font));
+    }
+    return fontCache.get(font);
+  }
+
+  return Promise.resolve(new FontLoader().parse(font));
+}
+
+/**
+ * Parse an SVG given as markup, path data, a URL or a DOM element
+ */
+function loadSvg(svg) {
+  const loader = new SVGLoader();
+
+  if (typeof svg === "string") {
+    // Inline markup
+    if (svg.includes("<svg")) return Promise.resolve(loader.parse(svg));
+
+    // Bare path data such as "M0 0 L10 0 L5 10 Z"
+    if (/^\s*[Mm]/.test(svg)) {
+      return Promise.resolve(loader.parse(`<svg xmlns="http://www.w3.org/2000/svg"><path d="${svg}"/></svg>`));
+    }
+
+    return loader.loadAsync(svg);
+  }
+
+  if (svg && svg.nodeType) {
+    return Promise.resolve(loader.parse(new XMLSerializer().serializeToString(svg)));
+  }
+
+  return Promise.reject(new TypeError("SVG targets require markup, path data, a URL or an SVG element"));
+}
+
+/**
+ * Explicit per-particle colors from { front, back, side } region colors
+ */
+function colorByRegion(regions, regionColors) {
+  const colors = new Float32Array(regions.length * 3);
+  const palette = {
+    [TargetRegion.FRONT]: new THREE.Color(regionColors.front ?? "#98d8ff"),
+    [TargetRegion.BACK]: new THREE.Color(regionColors.back ?? "#0b5baa"),
+    [TargetRegion.SIDE]: new THREE.Color(regionColors.side ?? regionColors.back ?? "#0b5baa")
+  };
+
+  for (let i = 0; i < regions.length; i++) {
+    palette[regions[i]].toArray(colors, i * 3);
+  }
+
+  return colors;
+}
+
+/**
+ * Center a group of meshes on the origin and sample it into a target
+ */
+function sampleMeshes(group, { count, weighting, curvatureStrength, random, regionColors }) {
+  group.updateMatrixWorld(true);
+  const center = new THREE.Box3().setFromObject(group).getCenter(new THREE.Vector3());
+  group.position.sub(center);
+
+  const { positions, normals, meshes, meshIndices } = sampleSurfacePoints(group, count, { weighting, curvatureStrength, random });
+  const regions = classifyRegions(normals);
+
+  // Meshes can force a region (flat strokes have no meaningful facing)
+  for (let i = 0; i < count; i++) {
+    const region = meshes[meshIndices[i]].userData.region;
+    if (region !== undefined) regions[i] = region;
+  }
+
+  let colors = null;
+  if (regionColors) {
+    colors = colorByRegion(regions, regionColors);
+  } else if (meshes.some(mesh => mesh.userData.color)) {
+    // Per-mesh colors (SVG fills and strokes)
+    colors = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      const color = meshes[meshIndices[i]].userData.color;
+      if (color) color.toArray(colors, i * 3);
+    }
+  }
+
+  // Geometries are only needed for sampling
+  meshes.forEach(mesh => mesh.geometry.dispose());
+
+  return { positions, regions, colors };
+}
+
+/**
+ * Text target
+ *
+ * Options:
+ * - text: the string to assemble
+ * - font: typeface JSON URL, parsed JSON data or a THREE Font
+ * - size: font size in world units
+ * - depth: extrusion depth (0 for flat text, every particle is then front-facing)
+ * - curveSegments: glyph curve resolution
+ * - bevel: bevel the extruded edges
+ * - regionColors: optional { front, back, side } colors replacing the gradient
+ */
+export async function createTextTarget({
+  text,
+  font,
+  size = 0.3,
+  depth = 0.08,
+  curveSegments = 6,
+  bevel = false,
+  regionColors = null
+}, context) {
+  if (!text) {
+    throw new TypeError("Text targets require a non-empty text");
+  }
+
+  const loadedFont = await resolveFont(font);
+
+  const geometry = depth > 0
+    ? new TextGeometry(text, {
+      font: loadedFont,
+      size,
+      depth,
+      curveSegments,
+      bevelEnabled: bevel,
+      bevelThickness: depth * 0.2,
+      bevelSize: size * 0.02,
+      bevelSegments: 2
+    })
+    : new THREE.ShapeGeometry(loadedFont.generateShapes(text, size), curveSegments);
+
+  const group = new THREE.Group();
+  group.add(new THREE.Mesh(geometry));
+
+  return sampleMeshes(group, { ...context, regionColors });
+}
+
+/**
+ * SVG target
+ *
+ * Options:
+ * - svg: SVG markup, path data, a URL or an SVG element
+ * - size: largest dimension of the result in world units
+ * - depth: extrusion depth for filled shapes (0 for flat)
+ * - curveSegments: path curve resolution
+ * - useColors: take particle colors from the SVG fills and strokes
+ * - regionColors: optional { front, back, side } colors replacing the gradient
+ */
+export async function createSvgTarget({
+  svg,
+  size = 0.9,
+  depth = 0.2,
+  curveSegments = 12,
+  useColors = false,
+  regionColors = null
+}, context) {
+  const data = await loadSvg(svg);
+
+  // Scale from SVG units to world units based on the overall bounds
+  const bounds = new THREE.Box2();
+  data.paths.forEach(path => {
+    path.subPaths.forEach(subPath => subPath.getPoints().forEach(point => bounds.expandByPoint(point)));
+  });
+  const dimensions = bounds.getSize(new THREE.Vector2());
+  const scale = size / (Math.max(dimensions.x, dimensions.y) || 1);
+
+  const group = new THREE.Group();
+
+  // SVG's Y axis points down
+  group.scale.set(scale, -scale, scale);
+
+  data.paths.forEach(path => {
+    const style = path.userData.style;
+
+    // Filled shapes, extruded when a depth is given
+    if (style.fill !== undefined && style.fill !== "none") {
+      const shapes = SVGLoader.createShapes(path);
+      const geometry = depth > 0
+        ? new THREE.ExtrudeGeometry(shapes, { depth: depth / scale, curveSegments, bevelEnabled: false })
+        : new THREE.ShapeGeometry(shapes, curveSegments);
+
+      const mesh = new THREE.Mesh(geometry);
+      if (useColors) mesh.userData.color = path.color.clone();
+      group.add(mesh);
+    }
+
+    // Strokes stay flat
+    if (style.stroke !== undefined && style.stroke !== "none") {
+      path.subPaths.forEach(subPath => {
+        const geometry = SVGLoader.pointsToStroke(subPath.getPoints(curveSegments), style);
+        if (!geometry) return;
+
+        const mesh = new THREE.Mesh(geometry);
+        mesh.position.z = depth / scale; // On the front face of the extrusion
+        mesh.userData.region = TargetRegion.FRONT;
+        if (useColors) mesh.userData.color = new THREE.Color().setStyle(style.stroke);
+        group.add(mesh);
+      });
+    }
+  });
+
+  if (group.children.length === 0) {
+    throw new Error("The SVG has no filled or stroked paths to sample");
+  }
+
+  return sampleMeshes(group, { ...context, regionColors });
+}